@@ -0,0 +1,63 @@
+// POST /api/book — Vercel serverless function, also mounted by server.js
+
+const { createBooking, openBookings } = require('../lib/bookings');
+const { requestCoach } = require('../lib/coaches');
+
+function readJsonBody(req) {
+  // Vercel parses JSON bodies already; the local server hands us the stream
+  if (req.body !== undefined) {
+    return Promise.resolve(typeof req.body === 'string' ? JSON.parse(req.body) : req.body);
+  }
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+function sendUnknownCoach(res, id) {
+  return sendJson(res, 400, { error: 'invalid_request', details: [`Unknown coach "${id}"`] });
+}
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: 'method_not_allowed' });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    return sendJson(res, 400, { error: 'invalid_request', details: ['Body must be valid JSON'] });
+  }
+
+  try {
+    const coach = requestCoach(body && body.coach);
+    if (!coach) return sendUnknownCoach(res, body.coach);
+
+    const store = openBookings({ bookingsPath: coach.bookingsPath, coachId: coach.coachId });
+    const result = await createBooking(body, { availabilityPath: coach.availabilityPath, store });
+    return sendJson(res, result.status, result.body);
+  } catch (err) {
+    console.error('Booking failed:', err);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+};
+
+module.exports.readJsonBody = readJsonBody;
+module.exports.sendJson = sendJson;
+module.exports.sendUnknownCoach = sendUnknownCoach;
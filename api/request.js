@@ -0,0 +1,32 @@
+// POST /api/request — waitlist requests for a custom time; Vercel serverless
+// function, also mounted by server.js
+
+const { createTimeRequest, openRequests } = require('../lib/requests');
+const { requestCoach } = require('../lib/coaches');
+const { readJsonBody, sendJson, sendUnknownCoach } = require('./book');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return sendJson(res, 405, { error: 'method_not_allowed' });
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (err) {
+    return sendJson(res, 400, { error: 'invalid_request', details: ['Body must be valid JSON'] });
+  }
+
+  try {
+    const coach = requestCoach(body && body.coach);
+    if (!coach) return sendUnknownCoach(res, body.coach);
+
+    const store = openRequests({ requestsPath: coach.requestsPath, coachId: coach.coachId });
+    const result = await createTimeRequest(body, { availabilityPath: coach.availabilityPath, store });
+    return sendJson(res, result.status, result.body);
+  } catch (err) {
+    console.error('Time request failed:', err);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+};
@@ -0,0 +1,27 @@
+// GET /api/status — when the page was last checked against the calendars, for
+// its freshness note; Vercel serverless function, also mounted by server.js
+
+const { openStatus } = require('../lib/status');
+const { requestCoach } = require('../lib/coaches');
+const { sendJson, sendUnknownCoach } = require('./book');
+
+module.exports = async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return sendJson(res, 405, { error: 'method_not_allowed' });
+  }
+
+  try {
+    const id = new URL(req.url, 'http://localhost').searchParams.get('coach');
+    const coach = requestCoach(id);
+    if (!coach) return sendUnknownCoach(res, id);
+
+    const status = await openStatus({ statusPath: coach.statusPath, coachId: coach.coachId }).get();
+    res.setHeader('Cache-Control', 'no-store');
+    if (!status) return sendJson(res, 404, { error: 'not_found' });
+    return sendJson(res, 200, status);
+  } catch (err) {
+    console.error('Status lookup failed:', err);
+    return sendJson(res, 500, { error: 'server_error' });
+  }
+};
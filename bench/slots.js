@@ -0,0 +1,143 @@
+// Benchmark: the slot engine on a synthetic 5,000-event calendar, against the
+// old per-candidate busyTimes.some() scan. Run with `npm run bench`.
+//
+// Both engines must produce the same slots; the run fails if they don't.
+
+const assert = require('assert');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { getBookingWindow, TIMEZONE } = require('../lib/time');
+const { expandBusyTimes } = require('../lib/busy');
+const { generateSlots } = require('../lib/slots');
+
+const EVENT_COUNT = 5000;
+const WEEKS = 26;
+
+// Small seeded PRNG so every run measures the same calendar
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+// One-off events of 15 minutes to 2 hours, mostly during the school day
+function syntheticIcs(bookingWindow, count) {
+  const next = random(286);
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}00Z`;
+  const days = Math.round((bookingWindow.end - bookingWindow.start) / 86400000);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//BCCS//Benchmark//EN'];
+  for (let i = 0; i < count; i++) {
+    const day = Math.floor(next() * days);
+    const minute = 11 * 60 + Math.floor(next() * 40) * 15; // 7:00 AM-5:00 PM Eastern, roughly
+    const start = new Date(bookingWindow.start.getTime() + day * 86400000 + minute * 60000);
+    const end = new Date(start.getTime() + (1 + Math.floor(next() * 8)) * 15 * 60000);
+    lines.push('BEGIN:VEVENT', `UID:bench-${i}@bccs`, `DTSTAMP:${stamp(start)}`, `DTSTART:${stamp(start)}`, `DTEND:${stamp(end)}`, `SUMMARY:Meeting ${i}`, 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n');
+}
+
+// --- Legacy engine, kept here only for comparison ---
+
+function legacyParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: TIMEZONE,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hour12: false, weekday: 'short'
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type).value;
+  return {
+    year: parseInt(get('year')), month: parseInt(get('month')), day: parseInt(get('day')),
+    hour: parseInt(get('hour')) % 24, minute: parseInt(get('minute')),
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+function legacyEasternDate(year, month, day, hour, minute) {
+  const target = Date.UTC(year, month - 1, day, hour, minute, 0);
+  const diff = (d) => {
+    const p = legacyParts(d);
+    return target - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, 0);
+  };
+  let d = new Date(target);
+  d = new Date(d.getTime() + diff(d));
+  const again = diff(d);
+  return again ? new Date(d.getTime() + again) : d;
+}
+
+function legacyGenerateSlots(sessionTypes, busyTimes, bookingWindow, now) {
+  const allSlots = {};
+  for (const [typeKey, config] of Object.entries(sessionTypes)) {
+    const slots = [];
+    const leadCutoff = new Date(now.getTime() + config.leadTime.amount * 3600000);
+    let currentDay = bookingWindow.start;
+    while (currentDay < bookingWindow.end) {
+      const dayParts = legacyParts(currentDay);
+      if (config.days.includes(dayParts.dayOfWeek)) {
+        let dayCount = 0;
+        const endLimitMinutes = config.endHour * 60 + config.endMin;
+        for (let minutes = config.startHour * 60 + config.startMin; dayCount < config.maxPerDay; minutes += 15) {
+          if (minutes + config.duration > endLimitMinutes) break;
+          const slotStart = legacyEasternDate(dayParts.year, dayParts.month, dayParts.day, Math.floor(minutes / 60), minutes % 60);
+          const slotEnd = new Date(slotStart.getTime() + config.duration * 60000);
+          if (slotStart >= leadCutoff) {
+            const checkStart = new Date(slotStart.getTime() - config.buffer * 60000);
+            const checkEnd = new Date(slotEnd.getTime() + config.buffer * 60000);
+            if (!busyTimes.some(busy => checkStart < busy.end && checkEnd > busy.start)) {
+              // The old engine formatted every label per slot with new formatters
+              legacyParts(slotStart);
+              legacyParts(slotStart);
+              slots.push({ start: slotStart, end: slotEnd });
+              dayCount++;
+            }
+          }
+        }
+      }
+      currentDay = legacyEasternDate(dayParts.year, dayParts.month, dayParts.day + 1, 0, 0);
+    }
+    allSlots[typeKey] = slots;
+  }
+  return allSlots;
+}
+
+// --- Run ---
+
+function time(label, fn) {
+  const started = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - started) / 1e6;
+  console.log(`${label.padEnd(34)} ${ms.toFixed(0).padStart(7)} ms`);
+  return { result, ms };
+}
+
+function main() {
+  const config = loadConfig(path.join(__dirname, '..', 'config.json'));
+  const now = new Date();
+  const bookingWindow = getBookingWindow(now, { weeks: WEEKS, schoolYearEnd: '' });
+  const source = { name: 'Benchmark', block: true, allDayBusy: true, include: [], exclude: [] };
+  const rules = { tentative: 'busy', allDay: 'single-day', ownerEmails: [] };
+
+  console.log(`${EVENT_COUNT} events over ${WEEKS} weeks, ${Object.keys(config.sessionTypes).length} session types\n`);
+  const ics = syntheticIcs(bookingWindow, EVENT_COUNT);
+  const { result: expanded } = time('Expand calendar', () => expandBusyTimes(ics, source, rules, bookingWindow, now));
+  const busyTimes = expanded.busy;
+
+  const legacy = time('Legacy per-candidate scan', () => legacyGenerateSlots(config.sessionTypes, busyTimes, bookingWindow, now));
+  const sweep = time('Interval sweep', () => generateSlots(config.sessionTypes, busyTimes, bookingWindow, now));
+
+  for (const typeKey of Object.keys(config.sessionTypes)) {
+    assert.deepStrictEqual(
+      sweep.result[typeKey].map(s => s.start.getTime()),
+      legacy.result[typeKey].map(s => s.start.getTime()),
+      `${typeKey} slots differ between engines`
+    );
+  }
+  const total = Object.values(sweep.result).reduce((sum, slots) => sum + slots.length, 0);
+  console.log(`\n${busyTimes.length} busy intervals, ${total} open slots; same slots from both engines`);
+  console.log(`Speed-up: ${(legacy.ms / sweep.ms).toFixed(1)}x`);
+}
+
+main();
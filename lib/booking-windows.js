@@ -0,0 +1,59 @@
+// Calendar-defined booking windows: with config.bookingWindows set, tagged
+// events in the coach's calendar (a "Booking Window" title or category) say
+// when session types may be offered, in place of their configured days and
+// hours. Other events still block time inside those windows.
+
+// Title and categories of an event, lowercased, for keyword matching
+function eventText(event) {
+  const categories = event.component.getAllProperties('categories')
+    .flatMap(prop => prop.getValues())
+    .map(value => String(value));
+  return [event.summary || '', ...categories].join('\n').toLowerCase();
+}
+
+function isBookingWindow(event, keywords) {
+  const text = eventText(event);
+  return keywords.some(keyword => text.includes(keyword));
+}
+
+// Sort and merge { start, end } ranges in ms, joining ones that touch
+function mergeRanges(ranges) {
+  const merged = [];
+  for (const range of [...ranges].sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) last.end = Math.max(last.end, range.end);
+    else merged.push({ start: range.start, end: range.end });
+  }
+  return merged;
+}
+
+// The parts of `ranges` that fall inside `within` (merged ranges), in order
+function intersectRanges(ranges, within) {
+  const result = [];
+  for (const range of ranges) {
+    for (const bound of within) {
+      const start = Math.max(range.start, bound.start);
+      const end = Math.min(range.end, bound.end);
+      if (start < end) result.push({ start, end });
+    }
+  }
+  return result.sort((a, b) => a.start - b.start);
+}
+
+// Merged windows per session type, keyed by type id, for the types that take
+// their hours from the calendar. A window whose title or categories name
+// session types (by name or id) opens only those; otherwise it opens all.
+function assignBookingWindows(windows, sessionTypes, settings) {
+  const byType = new Map(settings.types.map(typeKey => [typeKey, []]));
+  for (const window of windows) {
+    const named = settings.types.filter(typeKey =>
+      window.text.includes(typeKey) || window.text.includes(sessionTypes[typeKey].name.toLowerCase()));
+    for (const typeKey of named.length ? named : settings.types) {
+      byType.get(typeKey).push({ start: window.start.getTime(), end: window.end.getTime() });
+    }
+  }
+  for (const [typeKey, ranges] of byType) byType.set(typeKey, mergeRanges(ranges));
+  return byType;
+}
+
+module.exports = { eventText, isBookingWindow, mergeRanges, intersectRanges, assignBookingWindows };
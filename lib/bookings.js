@@ -0,0 +1,239 @@
+// Booking records: a store (see lib/store.js) that the booking API appends to
+// and the generator reads back so taken slots disappear on the next run.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { easternDateKey, getWeekKey } = require('./time');
+const { capacityUsage, capacityLimitReached } = require('./capacity');
+const { seatsLeft } = require('./group-sessions');
+const { busyForSite } = require('./sites');
+const { openStore } = require('./store');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_BOOKINGS_PATH = path.join(ROOT, 'data', 'bookings.jsonl');
+const DEFAULT_AVAILABILITY_PATH = path.join(ROOT, 'availability.json');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Most sessions one weekly series can book at once
+const MAX_SERIES = 12;
+
+// One coach's bookings: in KV when it is configured, otherwise the file
+function openBookings({ bookingsPath = DEFAULT_BOOKINGS_PATH, coachId = null, env } = {}) {
+  return openStore('bookings', { filePath: bookingsPath, coachId, env });
+}
+
+// Busy intervals for the generator, one per active booking
+function bookingsToBusyTimes(bookings) {
+  return bookings
+    .filter(b => b.status !== 'cancelled')
+    .map(b => ({ start: new Date(b.start), end: new Date(b.end), source: 'Bookings', location: b.location || '' }));
+}
+
+// availability.json's buildings and travel in the shape lib/sites.js takes
+function siteTravel(availability) {
+  const { minutes = {}, base = null, defaultTravelMinutes = 0 } = availability.travel || {};
+  const buildings = (availability.sites || []).map(site => ({ ...site, match: site.match || [site.name.toLowerCase()] }));
+  return { buildings, travel: minutes, base, defaultTravelMinutes };
+}
+
+// Check the fields every form sends about the person: name, email, the
+// optional text fields and intake answers. Returns error strings.
+function validateContact(body) {
+  const errors = [];
+  if (typeof body.name !== 'string' || !body.name.trim()) errors.push('name is required');
+  if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) errors.push('email must be a valid email address');
+  for (const field of ['location', 'notes', 'site']) {
+    if (body[field] !== undefined && typeof body[field] !== 'string') errors.push(`${field} must be text`);
+  }
+  if (body.answers !== undefined && (!body.answers || typeof body.answers !== 'object' || Array.isArray(body.answers))) {
+    errors.push('answers must be an object');
+  }
+  return errors;
+}
+
+// Check a booking request's fields; returns error strings
+function validateBookingRequest(body) {
+  if (!body || typeof body !== 'object') return ['Request body must be a JSON object'];
+  const errors = [];
+  if (typeof body.type !== 'string' || !body.type) errors.push('type is required');
+  if (typeof body.start !== 'string' || isNaN(Date.parse(body.start))) errors.push('start must be an ISO date-time');
+  errors.push(...validateContact(body));
+  if (body.series !== undefined) {
+    const valid = Array.isArray(body.series) && body.series.length < MAX_SERIES &&
+      body.series.every(start => typeof start === 'string' && !isNaN(Date.parse(start)));
+    if (!valid) errors.push(`series must be a list of up to ${MAX_SERIES - 1} more ISO date-times`);
+    else if (new Set([body.start, ...body.series].map(start => Date.parse(start))).size !== body.series.length + 1) {
+      errors.push('series must not repeat a start time');
+    }
+  }
+  return errors;
+}
+
+// Check answers to a session type's intake questions. Returns error strings
+// and the answers as { id, label, value } in question order, for the record.
+function checkAnswers(questions, answers = {}) {
+  const errors = [];
+  const checked = [];
+  for (const question of questions) {
+    const raw = answers[question.id];
+    let value;
+    if (question.type === 'emails') {
+      const list = typeof raw === 'string' ? raw.split(/[\s,;]+/) : (raw || []);
+      if (!Array.isArray(list) || list.some(e => typeof e !== 'string')) {
+        errors.push(`${question.label} must be a list of email addresses`);
+        continue;
+      }
+      value = list.map(e => e.trim().toLowerCase()).filter(Boolean);
+      const bad = value.find(e => !EMAIL_PATTERN.test(e));
+      if (bad !== undefined) errors.push(`${question.label} has "${bad}", which is not an email address`);
+      else if (question.required && value.length === 0) errors.push(`${question.label} is required`);
+    } else {
+      if (raw !== undefined && typeof raw !== 'string') {
+        errors.push(`${question.label} must be text`);
+        continue;
+      }
+      value = (raw || '').trim();
+      if (question.required && !value) errors.push(`${question.label} is required`);
+      else if (value && question.type === 'select' && !question.options.includes(value)) {
+        errors.push(`${question.label} must be one of ${question.options.join(', ')}`);
+      }
+    }
+    if (value.length) checked.push({ id: question.id, label: question.label, value });
+  }
+  return { errors, answers: checked };
+}
+
+// The building a request names, if the type has slots there: null when it
+// names none, undefined when it names one the type isn't offered at
+function findSite(availability, type, id) {
+  if (id === undefined) return null;
+  const site = (availability.sites || []).find(s => s.id === id);
+  return site && type.siteSlots && type.siteSlots[site.id] ? site : undefined;
+}
+
+// Check one start time against the type's open slots (at `site` when given),
+// its lead time and the bookings on file. Returns the slot, or
+// { status, body } refusing it.
+function checkSlot(type, typeKey, startIso, seats, { availability, bookings, now, site = null }) {
+  // Slots inside the type's lead time expire between page refreshes; a slot
+  // without bookableUntil can be booked until it starts
+  const start = new Date(startIso);
+  const slot = (site ? type.siteSlots[site.id] : type.slots).find(s => new Date(s.start).getTime() === start.getTime());
+  if (!slot || now.getTime() >= new Date(slot.bookableUntil || slot.start).getTime()) {
+    return { refusal: { status: 409, body: { error: 'slot_taken', start: startIso, message: 'That time is no longer available.' } } };
+  }
+
+  // Joining a group session someone already booked only needs free seats
+  const left = type.joinable ? seatsLeft(type, bookings, typeKey, slot.start) : null;
+  if (left !== null) {
+    if (seats > left) {
+      return { refusal: { status: 409, body: { error: 'seats_full', start: startIso, message: left ? `Only ${left} seat${left === 1 ? '' : 's'} left in that session.` : 'That session is full.' } } };
+    }
+    return { slot };
+  }
+
+  // Any overlapping booking of any type takes the slot, including its buffer
+  // and, at a building, the travel from wherever each booking is held
+  const end = new Date(slot.end);
+  const buffer = (type.buffer || 0) * 60000;
+  const busy = bookingsToBusyTimes(bookings);
+  const clash = (site ? busyForSite(busy, siteTravel(availability), site.id) : busy).some(b =>
+    start.getTime() - buffer < b.end.getTime() && end.getTime() + buffer > b.start.getTime()
+  );
+  if (clash) {
+    return { refusal: { status: 409, body: { error: 'slot_taken', start: startIso, message: 'Someone just booked that time.' } } };
+  }
+
+  // Coach-wide daily and weekly limits, counted across every session type
+  const minutes = Math.round((end - start) / 60000);
+  const limit = capacityLimitReached(availability.capacity || {}, capacityUsage(bookings),
+    easternDateKey(start), getWeekKey(start), minutes);
+  if (limit) {
+    return { refusal: { status: 409, body: { error: 'capacity_reached', start: startIso, message: `The coach's schedule is full for that ${limit}. Please pick another ${limit}.` } } };
+  }
+  return { slot };
+}
+
+// Decide on a booking request against the latest availability and the
+// bookings already on file. Returns { status, body } for the HTTP response.
+// A request with `series` books every occurrence or none of them.
+function decideBooking(body, { availability, bookings, now }) {
+  const errors = validateBookingRequest(body);
+  if (errors.length) return { status: 400, body: { error: 'invalid_request', details: errors } };
+
+  const type = availability.sessionTypes[body.type];
+  if (!type) return { status: 400, body: { error: 'invalid_request', details: [`Unknown session type "${body.type}"`] } };
+
+  const intake = checkAnswers(type.questions || [], body.answers);
+  if (intake.errors.length) return { status: 400, body: { error: 'invalid_request', details: intake.errors } };
+
+  // An in-person session is held at the building, which is its location
+  const site = findSite(availability, type, body.site);
+  if (site === undefined) {
+    return { status: 400, body: { error: 'invalid_request', details: [`${type.name} sessions can't be held at "${body.site}"`] } };
+  }
+
+  // Everyone on the invite takes a seat: the booker and any guests
+  const seats = 1 + intake.answers.filter(a => Array.isArray(a.value)).reduce((sum, a) => sum + a.value.length, 0);
+  if (seats > (type.seats || 1)) {
+    return { status: 400, body: { error: 'invalid_request', details: [`${type.name} sessions have room for ${type.seats || 1} ${type.seats > 1 ? 'people' : 'person'}, including you`] } };
+  }
+
+  const starts = [body.start, ...(body.series || [])];
+  const seriesId = starts.length > 1 ? crypto.randomUUID() : null;
+  const records = [];
+  for (const startIso of starts) {
+    // Earlier occurrences count as booked for the capacity of later ones
+    const checked = checkSlot(type, body.type, startIso, seats, { availability, bookings: bookings.concat(records), now, site });
+    if (checked.refusal) return checked.refusal;
+    records.push({
+      id: crypto.randomUUID(),
+      status: 'booked',
+      type: body.type,
+      typeName: type.name,
+      start: checked.slot.start,
+      end: checked.slot.end,
+      name: body.name.trim(),
+      email: body.email.trim().toLowerCase(),
+      location: site ? site.name : (body.location || '').trim(),
+      notes: (body.notes || '').trim(),
+      answers: intake.answers,
+      seats,
+      ...(site ? { site: site.id } : {}),
+      ...(seriesId ? { seriesId } : {}),
+      createdAt: now.toISOString()
+    });
+  }
+  return { status: 201, body: seriesId ? { booking: records[0], series: records } : { booking: records[0] } };
+}
+
+// Requests are handled one at a time, across every function instance that
+// shares the store, so two clicks on the same slot can't both read the
+// bookings before either writes.
+function createBooking(body, {
+  availabilityPath = DEFAULT_AVAILABILITY_PATH,
+  store = openBookings(),
+  now = () => new Date()
+} = {}) {
+  return store.exclusive(async () => {
+    const availability = JSON.parse(fs.readFileSync(availabilityPath, 'utf8'));
+    const result = decideBooking(body, { availability, bookings: await store.read(), now: now() });
+    if (result.status === 201) await store.append(result.body.series || [result.body.booking]);
+    return result;
+  });
+}
+
+module.exports = {
+  DEFAULT_BOOKINGS_PATH,
+  MAX_SERIES,
+  openBookings,
+  bookingsToBusyTimes,
+  validateContact,
+  validateBookingRequest,
+  checkAnswers,
+  findSite,
+  decideBooking,
+  createBooking
+};
@@ -0,0 +1,154 @@
+// Turning expanded calendar events into busy intervals
+
+const IcalExpander = require('ical-expander');
+const { filterIcsData, readSourceIcs } = require('./ics');
+const { eventText, isBookingWindow } = require('./booking-windows');
+
+// The owner's PARTSTAT on an event, if any of ownerEmails is an attendee
+function ownerPartStat(event, ownerEmails) {
+  if (!ownerEmails.length) return null;
+  for (const attendee of event.attendees) {
+    const email = String(attendee.getFirstValue() || '').replace(/^mailto:/i, '').toLowerCase();
+    if (ownerEmails.includes(email)) {
+      return String(attendee.getParameter('partstat') || 'NEEDS-ACTION').toUpperCase();
+    }
+  }
+  return null;
+}
+
+// Decide whether one expanded event or occurrence blocks time, applying
+// iCalendar semantics first and then the source's own rules. `event` is the
+// ICAL.Event carrying the properties (the exception itself for overrides).
+// Events matching `windowKeywords` are booking windows, which open time
+// rather than block it.
+function interpretBusy(event, startDate, endDate, source, rules, windowKeywords = []) {
+  const status = String(event.component.getFirstPropertyValue('status') || '').toUpperCase();
+  const transp = String(event.component.getFirstPropertyValue('transp') || '').toUpperCase();
+  const partStat = ownerPartStat(event, rules.ownerEmails);
+
+  if (status === 'CANCELLED') return { busy: false, reason: 'cancelled' };
+  if (windowKeywords.length && isBookingWindow(event, windowKeywords)) {
+    if (partStat === 'DECLINED') return { busy: false, reason: 'declined' };
+    // A window needs hours to offer; all-day ones are ignored
+    if (startDate.isDate) return { busy: false, reason: 'all-day booking window' };
+    return { busy: false, window: true, reason: 'booking window' };
+  }
+  if (transp === 'TRANSPARENT') return { busy: false, reason: 'show as free' };
+  if (partStat === 'DECLINED') return { busy: false, reason: 'declined' };
+  if (status === 'TENTATIVE' || partStat === 'TENTATIVE') {
+    if (rules.tentative === 'free') return { busy: false, reason: 'tentative' };
+  }
+
+  if (startDate.isDate) {
+    if (!source.allDayBusy) return { busy: false, reason: 'all-day (source ignores all-day)' };
+    const days = Math.round((endDate.toJSDate() - startDate.toJSDate()) / 86400000);
+    if (rules.allDay === 'free') return { busy: false, reason: 'all-day' };
+    if (rules.allDay === 'single-day' && days > 1) return { busy: false, reason: 'multi-day all-day' };
+  }
+
+  const text = (event.summary || '').toLowerCase();
+  if (source.include.length && !source.include.some(k => text.includes(k))) {
+    return { busy: false, reason: 'no include keyword' };
+  }
+  const excluded = source.exclude.find(k => text.includes(k));
+  if (excluded) return { busy: false, reason: `exclude keyword "${excluded}"` };
+
+  return { busy: true, reason: status === 'TENTATIVE' || partStat === 'TENTATIVE' ? 'tentative' : 'busy' };
+}
+
+// Expand one source's (pre-filtered) iCal data over the booking window and
+// split it into busy intervals, booking windows and skipped events, keeping
+// every decision
+function expandBusyTimes(icsData, source, rules, bookingWindow, now, windowKeywords = []) {
+  const icalExpander = new IcalExpander({ ics: icsData, maxIterations: 2000 });
+  const result = icalExpander.between(now, bookingWindow.end);
+
+  const expanded = [
+    ...result.events.map(e => ({ event: e, startDate: e.startDate, endDate: e.endDate })),
+    ...result.occurrences.map(o => ({ event: o.item, startDate: o.startDate, endDate: o.endDate }))
+  ];
+
+  const busy = [];
+  const windows = [];
+  const skipped = {};
+  const decisions = [];
+  for (const { event, startDate, endDate } of expanded) {
+    const decision = interpretBusy(event, startDate, endDate, source, rules, windowKeywords);
+    decisions.push({
+      ...decision,
+      summary: event.summary || '(no title)',
+      when: startDate.isDate ? `${startDate.toString()} (all day)` : startDate.toJSDate().toISOString()
+    });
+    if (decision.busy) {
+      busy.push({ start: startDate.toJSDate(), end: endDate.toJSDate(), source: source.name, location: event.location || '' });
+    } else if (decision.window) {
+      windows.push({ start: startDate.toJSDate(), end: endDate.toJSDate(), text: eventText(event) });
+    } else {
+      skipped[decision.reason] = (skipped[decision.reason] || 0) + 1;
+    }
+  }
+
+  return { eventCount: expanded.length, busy, windows, skipped, decisions };
+}
+
+// A source whose event count falls this far below the last published run is
+// treated as a bad fetch rather than a coach who suddenly has a free month
+const EVENT_DROP_RATIO = 0.5;
+const EVENT_DROP_MIN_PREVIOUS = 10;
+
+// Mark reports failed when their event count collapsed since `previousSources`
+// ({ name, eventCount } from the last availability.json)
+function checkEventCounts(reports, previousSources = []) {
+  for (const report of reports) {
+    if (report.failed || report.eventCount === undefined) continue;
+    const previous = previousSources.find(s => s.name === report.name);
+    if (!previous || previous.eventCount < EVENT_DROP_MIN_PREVIOUS) continue;
+    if (report.eventCount < previous.eventCount * EVENT_DROP_RATIO) {
+      report.failed = true;
+      report.status = `FAILED: event count dropped from ${previous.eventCount} to ${report.eventCount} since the last run (set ALLOW_EVENT_DROP=1 if that is expected)`;
+    }
+  }
+  return reports;
+}
+
+// Read, filter and expand every blocking source, merging their busy intervals.
+// `readIcs` can be swapped out to feed calendars from memory.
+// Booking window events (see `windowKeywords`) come back as `windows`.
+async function loadBusyTimes(sources, rules, bookingWindow, now, { readIcs = readSourceIcs, windowKeywords = [] } = {}) {
+  const reports = [];
+  let busyTimes = [];
+  let windows = [];
+  for (const source of sources) {
+    if (!source.block) {
+      reports.push({ name: source.name, status: 'skipped (block: false)' });
+      continue;
+    }
+    try {
+      const rawIcsData = await readIcs(source);
+      // Pre-filter: keep only VEVENTs that could have instances in our date range
+      // This drastically reduces memory for large calendars with years of history
+      const icsData = filterIcsData(rawIcsData, bookingWindow);
+      const result = expandBusyTimes(icsData, source, rules, bookingWindow, now, windowKeywords);
+      const { eventCount, busy, skipped, decisions } = result;
+      busyTimes = busyTimes.concat(busy);
+      windows = windows.concat(result.windows);
+      const windowNote = result.windows.length ? `, ${result.windows.length} booking windows` : '';
+      const skipNote = Object.entries(skipped).map(([reason, n]) => `${n} ${reason}`).join(', ');
+      reports.push({
+        name: source.name,
+        status: `${eventCount} events, ${busy.length} blocking${windowNote}${skipNote ? ` (skipped: ${skipNote})` : ''}`,
+        rawBytes: rawIcsData.length,
+        filteredBytes: icsData.length,
+        eventCount,
+        decisions
+      });
+    } catch (err) {
+      reports.push({ name: source.name, status: `FAILED: ${err.message}`, failed: true });
+    }
+  }
+  busyTimes.sort((a, b) => a.start - b.start);
+  windows.sort((a, b) => a.start - b.start);
+  return { busyTimes, windows, reports };
+}
+
+module.exports = { interpretBusy, expandBusyTimes, checkEventCounts, loadBusyTimes };
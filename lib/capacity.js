@@ -0,0 +1,53 @@
+// Coach-wide capacity: daily and weekly limits on booked sessions and minutes
+// that apply across every session type.
+
+const { easternDateKey, getWeekKey } = require('./time');
+
+// Sessions and minutes already booked, per Eastern date and per week. Several
+// bookings into one group session count as one session.
+function capacityUsage(bookings) {
+  const days = new Map();
+  const weeks = new Map();
+  const add = (map, key, minutes) => {
+    const used = map.get(key) || { sessions: 0, minutes: 0 };
+    map.set(key, { sessions: used.sessions + 1, minutes: used.minutes + minutes });
+  };
+  const counted = new Set();
+  for (const booking of bookings) {
+    if (booking.status === 'cancelled') continue;
+    const session = `${booking.type} ${booking.start}`;
+    if (counted.has(session)) continue;
+    counted.add(session);
+    const start = new Date(booking.start);
+    const minutes = Math.round((new Date(booking.end) - start) / 60000);
+    add(days, easternDateKey(start), minutes);
+    add(weeks, getWeekKey(start), minutes);
+  }
+  return { days, weeks };
+}
+
+// Which limit, if any, a new session of `minutes` on this date would break
+function capacityLimitReached(capacity, usage, dateKey, weekKey, minutes) {
+  const day = usage.days.get(dateKey) || { sessions: 0, minutes: 0 };
+  const week = usage.weeks.get(weekKey) || { sessions: 0, minutes: 0 };
+  if (capacity.maxSessionsPerDay && day.sessions + 1 > capacity.maxSessionsPerDay) return 'day';
+  if (capacity.maxMinutesPerDay && day.minutes + minutes > capacity.maxMinutesPerDay) return 'day';
+  if (capacity.maxSessionsPerWeek && week.sessions + 1 > capacity.maxSessionsPerWeek) return 'week';
+  if (capacity.maxMinutesPerWeek && week.minutes + minutes > capacity.maxMinutesPerWeek) return 'week';
+  return null;
+}
+
+// Drop every slot, of any type, that no longer fits in the remaining capacity
+function applyCapacity(allSlots, capacity, bookings) {
+  const usage = capacityUsage(bookings);
+  const result = {};
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    result[typeKey] = slots.filter(slot => {
+      const minutes = Math.round((slot.end - slot.start) / 60000);
+      return !capacityLimitReached(capacity, usage, slot.dateKey, slot.weekKey, minutes);
+    });
+  }
+  return result;
+}
+
+module.exports = { capacityUsage, capacityLimitReached, applyCapacity };
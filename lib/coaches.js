@@ -0,0 +1,86 @@
+// Several coaches from one repo. coaches.json lists each coach's id and
+// config file; a coach's page and feeds are published under /<id>/ and
+// their bookings and waitlist kept under data/<id>/, and the site root
+// becomes a directory of coaches. Without coaches.json the one coach in
+// config.json keeps the root and the original files.
+//
+//   { "title": "BCCS Coaching", "coaches": [{ "id": "fraser", "config": "coaches/fraser.json" }] }
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_COACHES_PATH = path.join(ROOT, 'coaches.json');
+
+// The coach ids in coaches.json, or none without one. The booking API and
+// the local server only need the ids, not every coach's config.
+function coachIds(coachesPath = DEFAULT_COACHES_PATH) {
+  if (!fs.existsSync(coachesPath)) return [];
+  const directory = JSON.parse(fs.readFileSync(coachesPath, 'utf8'));
+  return (directory.coaches || []).map(entry => entry.id);
+}
+
+// Where one coach's generated files and records live
+function coachPaths(id, root = ROOT) {
+  const dir = path.join(root, id);
+  return {
+    dir,
+    availabilityPath: path.join(dir, 'availability.json'),
+    bookingsPath: path.join(root, 'data', id, 'bookings.jsonl'),
+    requestsPath: path.join(root, 'data', id, 'requests.jsonl'),
+    statusPath: path.join(root, 'data', id, 'status.json')
+  };
+}
+
+// The files behind an API request sent from a coach's page, or null when
+// `id` isn't a coach in coaches.json
+function coachFiles(id, coachesPath = DEFAULT_COACHES_PATH) {
+  if (typeof id !== 'string' || !coachIds(coachesPath).includes(id)) return null;
+  return coachPaths(id);
+}
+
+// The coach an API request is for, with their files: a page that is one of
+// several coaches' names whose it is, and without a name it's the one coach
+// in config.json, whose files the *_PATH variables can move. Null when `id`
+// isn't a coach in coaches.json.
+function requestCoach(id, { env = process.env, coachesPath = DEFAULT_COACHES_PATH } = {}) {
+  if (id === undefined || id === null) {
+    return {
+      coachId: null,
+      availabilityPath: env.AVAILABILITY_PATH || undefined,
+      bookingsPath: env.BOOKINGS_PATH || undefined,
+      requestsPath: env.REQUESTS_PATH || undefined,
+      statusPath: env.STATUS_PATH || undefined
+    };
+  }
+  const files = coachFiles(id, coachesPath);
+  return files && { coachId: id, ...files };
+}
+
+// The environment one coach's calendar sources read their urlEnv from.
+// COACH_CALENDARS holds every coach's calendar URLs as JSON keyed by coach
+// id, so each coach's config can use the same variable names:
+//
+//   COACH_CALENDARS={"fraser": {"ICAL_URL": "https://..."}, "lee": {"ICAL_URL": "https://..."}}
+//
+// A coach's own variables win over ones set for everyone, such as a shared
+// district calendar.
+function coachEnv(id, env = process.env) {
+  if (!env.COACH_CALENDARS) return env;
+  let calendars;
+  try {
+    calendars = JSON.parse(env.COACH_CALENDARS);
+  } catch (err) {
+    throw new Error(`COACH_CALENDARS is not valid JSON: ${err.message}`);
+  }
+  if (!calendars || typeof calendars !== 'object' || Array.isArray(calendars)) {
+    throw new Error('COACH_CALENDARS must be an object keyed by coach id');
+  }
+  const own = calendars[id] || {};
+  if (typeof own !== 'object' || Array.isArray(own) || Object.values(own).some(url => typeof url !== 'string')) {
+    throw new Error(`COACH_CALENDARS.${id} must map variable names to calendar URLs`);
+  }
+  return { ...env, ...own };
+}
+
+module.exports = { DEFAULT_COACHES_PATH, coachIds, coachPaths, coachFiles, requestCoach, coachEnv };
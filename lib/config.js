@@ -0,0 +1,659 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load .env manually (no dotenv dependency needed)
+function loadEnvFile(envPath) {
+  if (!fs.existsSync(envPath)) return;
+  fs.readFileSync(envPath, 'utf8').split('\n').forEach(line => {
+    const match = line.match(/^([^=]+)=(.*)$/);
+    if (match) process.env[match[1].trim()] = match[2].trim();
+  });
+}
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Schema for an intake question on the booking form. Answers to "emails"
+// questions are lists of addresses, which join the calendar invite.
+const QUESTION_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'lowercase-with-dashes' },
+  label: { type: 'string', required: true },
+  type: { type: 'enum', required: true, values: ['text', 'select', 'emails'] },
+  required: { type: 'boolean', required: false },
+  options: { type: 'keywords', required: false },
+  placeholder: { type: 'string', required: false }
+};
+
+function checkQuestion(entry, label) {
+  if (entry.type === 'select' && (!Array.isArray(entry.options) || entry.options.length === 0)) {
+    return [`${label}.options is required when type is "select"`];
+  }
+  if (entry.options !== undefined && entry.type !== 'select') {
+    return [`${label}.options only applies when type is "select"`];
+  }
+  return [];
+}
+
+const QUESTIONS_RULE = { type: 'list', required: false, schema: QUESTION_SCHEMA, check: checkQuestion };
+
+// Schema for each entry in config.sessionTypes
+const SESSION_TYPE_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'lowercase-with-dashes' },
+  name: { type: 'string', required: true },
+  duration: { type: 'integer', required: true, min: 5 },
+  buffer: { type: 'integer', required: true, min: 0 },
+  days: { type: 'days', required: true },
+  window: { type: 'window', required: true },
+  maxPerDay: { type: 'integer', required: true, min: 1 },
+  // Lead time is set in exactly one unit: clock hours, or business hours or
+  // days, which only count config.businessHours on working days
+  leadTimeHours: { type: 'number', required: false, min: 0 },
+  leadTimeBusinessHours: { type: 'number', required: false, min: 0 },
+  leadTimeBusinessDays: { type: 'integer', required: false, min: 0 },
+  description: { type: 'string', required: true },
+  whenToChoose: { type: 'string', required: true },
+  durationLabel: { type: 'string', required: false },
+  // Which open times to offer when there are more than maxPerDay: the
+  // earliest, spread across the window, nearest to `anchors`, or earliest on
+  // a clock-aligned grid (every `step` minutes from midnight)
+  placement: { type: 'enum', required: false, values: ['earliest', 'spread', 'anchors', 'aligned'] },
+  step: { type: 'integer', required: false, min: 5 },
+  anchors: { type: 'clocks', required: false },
+  // Asked after config.intake's questions when booking this type
+  questions: QUESTIONS_RULE,
+  // Group sessions: `seats` people per session (the booker plus anyone on an
+  // "emails" question); `joinable` keeps a booked session open to others
+  // until its seats are filled, like office hours
+  seats: { type: 'integer', required: false, min: 2 },
+  joinable: { type: 'boolean', required: false },
+  // Offered at each of config.sites' buildings as well as virtually
+  inPerson: { type: 'boolean', required: false }
+};
+
+const DEFAULT_STEP = 15;
+
+// Session type field for each lead time unit
+const LEAD_TIME_FIELDS = {
+  hours: 'leadTimeHours',
+  businessHours: 'leadTimeBusinessHours',
+  businessDays: 'leadTimeBusinessDays'
+};
+
+// Schema for each entry in config.sources. Each source is read from exactly
+// one of url, urlEnv (name of an env var holding a secret URL) or path.
+const SOURCE_SCHEMA = {
+  name: { type: 'string', required: true },
+  url: { type: 'string', required: false, pattern: /^(https?|webcal|data):/, hint: 'an http(s) or webcal URL' },
+  urlEnv: { type: 'string', required: false, pattern: /^[A-Z][A-Z0-9_]*$/, hint: 'an ENV_VAR_NAME' },
+  path: { type: 'string', required: false },
+  block: { type: 'boolean', required: false },
+  allDayBusy: { type: 'boolean', required: false },
+  include: { type: 'keywords', required: false },
+  exclude: { type: 'keywords', required: false }
+};
+
+// Schema for config.busyRules: how calendar events are read as busy or free
+const BUSY_RULES_SCHEMA = {
+  tentative: { type: 'enum', required: false, values: ['busy', 'free'] },
+  allDay: { type: 'enum', required: false, values: ['busy', 'free', 'single-day'] },
+  ownerEmails: { type: 'keywords', required: false }
+};
+
+const DEFAULT_BUSY_RULES = { tentative: 'busy', allDay: 'single-day', ownerEmails: [] };
+
+// Schema for config.capacity: limits on total coaching across all session
+// types. Every limit is optional; a missing one means "no limit".
+const CAPACITY_SCHEMA = {
+  maxSessionsPerDay: { type: 'integer', required: false, min: 1 },
+  maxMinutesPerDay: { type: 'integer', required: false, min: 1 },
+  maxSessionsPerWeek: { type: 'integer', required: false, min: 1 },
+  maxMinutesPerWeek: { type: 'integer', required: false, min: 1 }
+};
+
+// Schema for config.schoolCalendar: days with no booking (blackouts), days
+// with shorter hours (overrides) and an optional school-year .ics to import.
+// Dates are YYYY-MM-DD in the coach's time zone; blackout ranges are inclusive.
+const SCHOOL_CALENDAR_SCHEMA = {
+  blackouts: {
+    type: 'list', required: false, unique: false,
+    schema: {
+      name: { type: 'string', required: true },
+      start: { type: 'date', required: true },
+      end: { type: 'date', required: true }
+    },
+    check: (entry, label) => (entry.start && entry.end && entry.end < entry.start ? [`${label}.end must not be before ${label}.start`] : [])
+  },
+  overrides: {
+    type: 'list', required: false, unique: false,
+    schema: {
+      name: { type: 'string', required: true },
+      date: { type: 'date', required: true },
+      window: { type: 'window', required: true }
+    }
+  },
+  import: {
+    type: 'object', required: false,
+    schema: {
+      path: { type: 'string', required: true },
+      include: { type: 'keywords', required: false }
+    }
+  }
+};
+
+// Schema for config.page: how the published page treats its own age.
+// The refresh workflow runs every 4 hours, so the default allows two misses.
+const PAGE_SCHEMA = {
+  staleAfterHours: { type: 'number', required: false, min: 1 }
+};
+
+const DEFAULT_PAGE = { staleAfterHours: 12 };
+
+// Schema for config.coach: who the page books time with, and its branding.
+// Invites go to `email`; the badge sits above the page title and the brand
+// and tagline in the footer.
+const COACH_SCHEMA = {
+  name: { type: 'string', required: true },
+  email: { type: 'string', required: true, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, hint: 'an email address' },
+  badge: { type: 'string', required: false },
+  brand: { type: 'string', required: false },
+  tagline: { type: 'string', required: false }
+};
+
+// Used when config.json has no "coach": the original single coach
+const DEFAULT_COACH = {
+  name: 'Josh',
+  email: 'jfraser@bccs286.org',
+  badge: 'BCCS Leadership',
+  brand: 'BCCS Playbook Support',
+  tagline: 'Helping BCCS leaders move the Playbook forward, one session at a time.'
+};
+
+// Schema for config.businessHours: the coach's working week, which business
+// hour and business day lead times count. School calendar blackouts are
+// days off too.
+const BUSINESS_HOURS_SCHEMA = {
+  days: { type: 'days', required: false },
+  window: { type: 'window', required: false }
+};
+
+const DEFAULT_BUSINESS_HOURS = { days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'], window: { start: '08:00', end: '16:00' } };
+
+// Schema for config.bookingWindows, which turns on calendar-defined hours:
+// events whose title or categories contain one of `keywords` say when the
+// session types in `types` (all of them by default) may be offered, in place
+// of their days and window
+const BOOKING_WINDOWS_SCHEMA = {
+  keywords: { type: 'keywords', required: false },
+  types: { type: 'keywords', required: false }
+};
+
+const DEFAULT_WINDOW_KEYWORDS = ['booking window'];
+
+// Schema for config.sites: the school buildings in-person sessions are held
+// at. A calendar event is at a building when its LOCATION contains the
+// building's name or one of its aliases, and at `base` when it names none.
+// `travel` gives minutes between two buildings, either way round; pairs it
+// leaves out take defaultTravelMinutes.
+const SITES_SCHEMA = {
+  buildings: {
+    type: 'list', required: true,
+    schema: {
+      id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'lowercase-with-dashes' },
+      name: { type: 'string', required: true },
+      aliases: { type: 'keywords', required: false }
+    }
+  },
+  travel: {
+    type: 'list', required: false, unique: false,
+    schema: {
+      from: { type: 'string', required: true },
+      to: { type: 'string', required: true },
+      minutes: { type: 'integer', required: true, min: 0 }
+    },
+    check: (entry, label) => (entry.from === entry.to ? [`${label}.to must be a different building from ${label}.from`] : [])
+  },
+  base: { type: 'string', required: false },
+  defaultTravelMinutes: { type: 'integer', required: false, min: 0 }
+};
+
+const DEFAULT_TRAVEL_MINUTES = 30;
+
+// Schema for config.intake: questions asked on the booking form for every
+// session type, before the type's own questions
+const INTAKE_SCHEMA = {
+  questions: QUESTIONS_RULE
+};
+
+// Optional top-level settings that are a single object
+const OBJECT_SETTINGS = {
+  busyRules: BUSY_RULES_SCHEMA,
+  capacity: CAPACITY_SCHEMA,
+  schoolCalendar: SCHOOL_CALENDAR_SCHEMA,
+  page: PAGE_SCHEMA,
+  coach: COACH_SCHEMA,
+  businessHours: BUSINESS_HOURS_SCHEMA,
+  intake: INTAKE_SCHEMA,
+  bookingWindows: BOOKING_WINDOWS_SCHEMA,
+  sites: SITES_SCHEMA
+};
+
+// Used when config.json has no "sources": the original single ICAL_URL feed
+const DEFAULT_SOURCES = [{ name: 'Calendar', urlEnv: 'ICAL_URL' }];
+
+function parseClock(value) {
+  const match = typeof value === 'string' && value.match(/^([01]\d|2[0-3]):([0-5]\d)$/);
+  return match ? { hour: parseInt(match[1]), minute: parseInt(match[2]) } : null;
+}
+
+function checkField(value, rule, where) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return `${where} must be a non-empty string`;
+      if (rule.pattern && !rule.pattern.test(value)) return `${where} must look like ${rule.hint}, got "${value}"`;
+      return null;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${where} must be true or false`;
+      return null;
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        return `${where} must be one of ${rule.values.map(v => `"${v}"`).join(', ')}, got ${JSON.stringify(value)}`;
+      }
+      return null;
+    case 'keywords':
+      if (!Array.isArray(value) || value.some(k => typeof k !== 'string' || !k.trim())) {
+        return `${where} must be a list of non-empty strings`;
+      }
+      return null;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${where} must be a number`;
+      if (rule.type === 'integer' && !Number.isInteger(value)) return `${where} must be a whole number`;
+      if (value < rule.min) return `${where} must be at least ${rule.min}`;
+      return null;
+    case 'date': {
+      const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const valid = match && new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])).toISOString().startsWith(value);
+      if (!valid) return `${where} must be a date like "2026-12-21", got ${JSON.stringify(value)}`;
+      return null;
+    }
+    case 'clocks':
+      if (!Array.isArray(value) || value.length === 0) return `${where} must be a non-empty list of "HH:MM" times`;
+      for (const time of value) {
+        if (!parseClock(time)) return `${where} has ${JSON.stringify(time)}, which is not "HH:MM" (24-hour)`;
+      }
+      return null;
+    case 'days':
+      if (!Array.isArray(value) || value.length === 0) return `${where} must be a non-empty list of weekdays`;
+      for (const day of value) {
+        if (!DAY_NAMES.includes(day)) return `${where} has unknown weekday "${day}" (use ${DAY_NAMES.join(', ')})`;
+      }
+      return null;
+    case 'window': {
+      if (!value || typeof value !== 'object') return `${where} must be an object like { "start": "08:00", "end": "16:00" }`;
+      const start = parseClock(value.start);
+      const end = parseClock(value.end);
+      if (!start) return `${where}.start must be "HH:MM" (24-hour), got ${JSON.stringify(value.start)}`;
+      if (!end) return `${where}.end must be "HH:MM" (24-hour), got ${JSON.stringify(value.end)}`;
+      if (end.hour * 60 + end.minute <= start.hour * 60 + start.minute) return `${where}.end must be after ${where}.start`;
+      return null;
+    }
+  }
+  return null;
+}
+
+// Check one config object against a schema; returns error strings
+function checkObject(entry, schema, label) {
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = entry[field];
+    const where = `${label}.${field}`;
+    if (value === undefined) {
+      if (rule.required) errors.push(`${where} is required`);
+      continue;
+    }
+    if (rule.type === 'list') {
+      if (!Array.isArray(value)) errors.push(`${where} must be a list`);
+      else errors.push(...checkEntries(value, rule.schema, where, rule.check || (() => []), { unique: rule.unique }));
+      continue;
+    }
+    if (rule.type === 'object') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) errors.push(`${where} must be an object`);
+      else errors.push(...checkObject(value, rule.schema, where));
+      continue;
+    }
+    const error = checkField(value, rule, where);
+    if (error) errors.push(error);
+  }
+  for (const field of Object.keys(entry)) {
+    if (!schema[field]) errors.push(`${label}.${field} is not a known setting`);
+  }
+  return errors;
+}
+
+// Check every entry of a config list against a schema; returns error strings
+function checkEntries(list, schema, listName, checkEntry, { unique = true } = {}) {
+  const errors = [];
+  const seen = new Set();
+  list.forEach((entry, i) => {
+    const key = entry && typeof entry === 'object' ? (entry.id || entry.name) : null;
+    const label = `${listName}[${i}]${typeof key === 'string' ? ` (${key})` : ''}`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    errors.push(...checkObject(entry, schema, label));
+    if (unique && typeof key === 'string') {
+      if (seen.has(key)) errors.push(`${label}.${entry.id ? 'id' : 'name'} "${key}" is used more than once`);
+      seen.add(key);
+    }
+    errors.push(...checkEntry(entry, label));
+  });
+  return errors;
+}
+
+function validateConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== 'object' || !Array.isArray(config.sessionTypes)) {
+    return ['config must have a "sessionTypes" array'];
+  }
+  if (config.sessionTypes.length === 0) errors.push('sessionTypes must define at least one session type');
+
+  errors.push(...checkEntries(config.sessionTypes, SESSION_TYPE_SCHEMA, 'sessionTypes', (entry, label) => {
+    const start = parseClock(entry.window && entry.window.start);
+    const end = parseClock(entry.window && entry.window.end);
+    if (start && end && Number.isInteger(entry.duration) &&
+        (end.hour * 60 + end.minute) - (start.hour * 60 + start.minute) < entry.duration) {
+      return [`${label}.window is shorter than its ${entry.duration}-minute duration`];
+    }
+    const leadTimes = Object.values(LEAD_TIME_FIELDS).filter(field => entry[field] !== undefined);
+    if (leadTimes.length !== 1) {
+      return [`${label} must set exactly one of leadTimeHours, leadTimeBusinessHours or leadTimeBusinessDays`];
+    }
+    if (entry.placement === 'anchors' && entry.anchors === undefined) {
+      return [`${label}.anchors is required when placement is "anchors"`];
+    }
+    if (entry.anchors !== undefined && entry.placement !== 'anchors') {
+      return [`${label}.anchors only applies when placement is "anchors"`];
+    }
+    if (entry.joinable === true && entry.seats === undefined) {
+      return [`${label}.seats is required when joinable is true`];
+    }
+    const sharedQuestions = (config.intake && Array.isArray(config.intake.questions)) ? config.intake.questions : [];
+    const ownQuestions = Array.isArray(entry.questions) ? entry.questions : [];
+    const shared = new Set(sharedQuestions.map(q => q && q.id));
+    const repeated = ownQuestions.find(q => q && shared.has(q.id));
+    if (repeated) {
+      return [`${label}.questions has "${repeated.id}", which is already an intake question`];
+    }
+    if (entry.seats === undefined && [...sharedQuestions, ...ownQuestions].some(q => q && q.type === 'emails')) {
+      return [`${label}.seats is required to invite the people on an "emails" question`];
+    }
+    if (entry.inPerson === true && config.sites === undefined) {
+      return [`${label}.inPerson needs the buildings listed in sites`];
+    }
+    return [];
+  }));
+
+  if (config.sources !== undefined) {
+    if (!Array.isArray(config.sources) || config.sources.length === 0) {
+      errors.push('sources must be a non-empty list of calendar sources');
+    } else {
+      errors.push(...checkEntries(config.sources, SOURCE_SCHEMA, 'sources', (entry, label) => {
+        const locations = ['url', 'urlEnv', 'path'].filter(field => entry[field] !== undefined);
+        if (locations.length !== 1) return [`${label} must set exactly one of url, urlEnv or path`];
+        return [];
+      }));
+    }
+  }
+
+  for (const [field, schema] of Object.entries(OBJECT_SETTINGS)) {
+    const value = config[field];
+    if (value === undefined) continue;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${field} must be an object`);
+    } else {
+      errors.push(...checkObject(value, schema, field));
+    }
+  }
+
+  // An override's hours narrow each type's window, so hours longer than the
+  // working day would be silently cut back
+  const overrides = config.schoolCalendar && config.schoolCalendar.overrides;
+  if (Array.isArray(overrides)) {
+    const hours = { ...DEFAULT_BUSINESS_HOURS, ...config.businessHours }.window;
+    const minutes = (value) => {
+      const clock = parseClock(value);
+      return clock ? clock.hour * 60 + clock.minute : null;
+    };
+    const [open, close] = [minutes(hours && hours.start), minutes(hours && hours.end)];
+    overrides.forEach((entry, i) => {
+      if (!entry || !entry.window || open === null || close === null) return;
+      const [start, end] = [minutes(entry.window.start), minutes(entry.window.end)];
+      if (start === null || end === null || end <= start || (start >= open && end <= close)) return;
+      const label = `schoolCalendar.overrides[${i}]${typeof entry.name === 'string' ? ` (${entry.name})` : ''}`;
+      errors.push(`${label}.window ${entry.window.start}-${entry.window.end} runs outside businessHours ${hours.start}-${hours.end}; an override can only shorten the day`);
+    });
+  }
+
+  const windowTypes = config.bookingWindows && config.bookingWindows.types;
+  if (Array.isArray(windowTypes)) {
+    const ids = new Set(config.sessionTypes.map(entry => entry && entry.id));
+    const unknown = windowTypes.find(id => !ids.has(id));
+    if (unknown !== undefined) errors.push(`bookingWindows.types has "${unknown}", which is not a session type id`);
+  }
+
+  const buildings = config.sites && Array.isArray(config.sites.buildings) ? config.sites.buildings : null;
+  if (buildings) {
+    const ids = new Set(buildings.map(entry => entry && entry.id));
+    (Array.isArray(config.sites.travel) ? config.sites.travel : []).forEach((entry, i) => {
+      for (const end of ['from', 'to']) {
+        if (entry && typeof entry[end] === 'string' && !ids.has(entry[end])) {
+          errors.push(`sites.travel[${i}].${end} has "${entry[end]}", which is not a building id`);
+        }
+      }
+    });
+    if (typeof config.sites.base === 'string' && !ids.has(config.sites.base)) {
+      errors.push(`sites.base has "${config.sites.base}", which is not a building id`);
+    }
+  }
+
+  for (const field of Object.keys(config)) {
+    if (!['sessionTypes', 'sources', ...Object.keys(OBJECT_SETTINGS)].includes(field)) errors.push(`${field} is not a known top-level setting`);
+  }
+  return errors;
+}
+
+function formatDuration(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const hours = minutes / 60;
+  return `${Number.isInteger(hours) ? hours : parseFloat(hours.toFixed(2))} hour${hours === 1 ? '' : 's'}`;
+}
+
+// Load config.json, validate it, and return session types keyed by id, the
+// list of calendar sources and the busy rules, with defaults filled in
+function loadConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${path.basename(configPath)}: ${err.message}`);
+  }
+  const errors = validateConfig(config);
+  if (errors.length) {
+    throw new Error(`Invalid ${path.basename(configPath)}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const sharedQuestions = (config.intake && config.intake.questions) || [];
+  const sessionTypes = {};
+  for (const entry of config.sessionTypes) {
+    const start = parseClock(entry.window.start);
+    const end = parseClock(entry.window.end);
+    sessionTypes[entry.id] = {
+      name: entry.name,
+      duration: entry.duration,
+      durationLabel: entry.durationLabel || formatDuration(entry.duration),
+      buffer: entry.buffer,
+      days: entry.days.map(day => DAY_NAMES.indexOf(day)),
+      startHour: start.hour, startMin: start.minute,
+      endHour: end.hour, endMin: end.minute,
+      maxPerDay: entry.maxPerDay,
+      leadTime: Object.entries(LEAD_TIME_FIELDS)
+        .filter(([, field]) => entry[field] !== undefined)
+        .map(([unit, field]) => ({ amount: entry[field], unit }))[0],
+      description: entry.description,
+      whenToChoose: entry.whenToChoose,
+      placement: entry.placement || 'earliest',
+      step: entry.step || DEFAULT_STEP,
+      anchors: (entry.anchors || []).map(parseClock).sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute)),
+      questions: [...sharedQuestions, ...(entry.questions || [])].map(question => ({
+        id: question.id,
+        label: question.label,
+        type: question.type,
+        required: question.required === true,
+        options: question.options || [],
+        placeholder: question.placeholder || ''
+      })),
+      seats: entry.seats || 1,
+      joinable: entry.joinable === true,
+      inPerson: entry.inPerson === true
+    };
+  }
+
+  const sources = (config.sources || DEFAULT_SOURCES).map(entry => ({
+    name: entry.name,
+    url: entry.url || null,
+    urlEnv: entry.urlEnv || null,
+    path: entry.path ? path.resolve(path.dirname(configPath), entry.path) : null,
+    block: entry.block !== false,
+    allDayBusy: entry.allDayBusy !== false,
+    include: (entry.include || []).map(k => k.toLowerCase()),
+    exclude: (entry.exclude || []).map(k => k.toLowerCase())
+  }));
+
+  const busyRules = { ...DEFAULT_BUSY_RULES, ...config.busyRules };
+  busyRules.ownerEmails = busyRules.ownerEmails.map(e => e.toLowerCase());
+
+  const capacity = { ...config.capacity };
+
+  const school = config.schoolCalendar || {};
+  const schoolCalendar = {
+    blackouts: school.blackouts || [],
+    overrides: (school.overrides || []).map(entry => ({
+      name: entry.name,
+      date: entry.date,
+      window: { start: parseClock(entry.window.start), end: parseClock(entry.window.end) }
+    })),
+    import: school.import ? {
+      path: path.resolve(path.dirname(configPath), school.import.path),
+      include: (school.import.include || []).map(k => k.toLowerCase())
+    } : null
+  };
+
+  const page = { ...DEFAULT_PAGE, ...config.page };
+  // `id` is set when the coach is one of several in coaches.json
+  const coach = { ...DEFAULT_COACH, ...config.coach, id: null };
+
+  const hours = { ...DEFAULT_BUSINESS_HOURS, ...config.businessHours };
+  const businessHours = {
+    days: hours.days.map(day => DAY_NAMES.indexOf(day)),
+    window: { start: parseClock(hours.window.start), end: parseClock(hours.window.end) }
+  };
+
+  const bookingWindows = config.bookingWindows ? {
+    keywords: (config.bookingWindows.keywords || DEFAULT_WINDOW_KEYWORDS).map(k => k.toLowerCase()),
+    types: config.bookingWindows.types || Object.keys(sessionTypes)
+  } : null;
+
+  // Travel minutes both ways round, keyed by building id then building id
+  const sites = config.sites ? {
+    buildings: config.sites.buildings.map(entry => ({
+      id: entry.id,
+      name: entry.name,
+      match: [entry.name, ...(entry.aliases || [])].map(k => k.toLowerCase())
+    })),
+    travel: {},
+    base: config.sites.base || null,
+    defaultTravelMinutes: config.sites.defaultTravelMinutes !== undefined ? config.sites.defaultTravelMinutes : DEFAULT_TRAVEL_MINUTES
+  } : null;
+  for (const { from, to, minutes } of (config.sites && config.sites.travel) || []) {
+    sites.travel[from] = { ...sites.travel[from], [to]: minutes };
+    sites.travel[to] = { ...sites.travel[to], [from]: minutes };
+  }
+
+  return { sessionTypes, sources, busyRules, capacity, schoolCalendar, page, coach, businessHours, bookingWindows, sites };
+}
+
+// Schema for a coaches.json entry: the coach's id, which is the folder their
+// page is published in, and their config file (relative to coaches.json)
+const COACH_ENTRY_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, hint: 'lowercase-with-dashes' },
+  config: { type: 'string', required: true }
+};
+
+// Folders of the repo itself, which no coach's page can be published in
+const RESERVED_COACH_IDS = ['api', 'bench', 'coaches', 'data', 'lib', 'node_modules', 'test'];
+
+function validateCoaches(directory) {
+  if (!directory || typeof directory !== 'object' || !Array.isArray(directory.coaches)) {
+    return ['coaches.json must have a "coaches" array'];
+  }
+  const errors = [];
+  if (directory.coaches.length === 0) errors.push('coaches must list at least one coach');
+  errors.push(...checkEntries(directory.coaches, COACH_ENTRY_SCHEMA, 'coaches', (entry, label) =>
+    RESERVED_COACH_IDS.includes(entry.id) ? [`${label}.id "${entry.id}" is the name of one of the repo's own folders`] : []
+  ));
+  if (directory.title !== undefined) {
+    const error = checkField(directory.title, { type: 'string' }, 'title');
+    if (error) errors.push(error);
+  }
+  for (const field of Object.keys(directory)) {
+    if (!['title', 'coaches'].includes(field)) errors.push(`${field} is not a known top-level setting`);
+  }
+  return errors;
+}
+
+// Load coaches.json and every coach's config. Returns null when there is no
+// coaches.json, which means the one coach in config.json.
+function loadCoaches(coachesPath) {
+  if (!fs.existsSync(coachesPath)) return null;
+  let directory;
+  try {
+    directory = JSON.parse(fs.readFileSync(coachesPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${path.basename(coachesPath)}: ${err.message}`);
+  }
+  const errors = validateCoaches(directory);
+  if (errors.length) {
+    throw new Error(`Invalid ${path.basename(coachesPath)}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const coaches = directory.coaches.map(entry => {
+    const config = loadConfig(path.resolve(path.dirname(coachesPath), entry.config));
+    return { id: entry.id, config: { ...config, coach: { ...config.coach, id: entry.id } } };
+  });
+  // Two coaches on the same contact or calendar files is a config left
+  // copied, or left out so both fell back to the single coach's defaults.
+  // Sources read from urlEnv can share names: COACH_CALENDARS gives each
+  // coach their own URLs (see lib/coaches.js).
+  const fixedSources = (config) => JSON.stringify(config.sources.filter(source => !source.urlEnv));
+  coaches.forEach((entry, i) => {
+    const twin = coaches.slice(0, i).find(other => other.config.coach.email === entry.config.coach.email);
+    if (twin) errors.push(`coaches[${i}] (${entry.id}) has the same coach email as ${twin.id}; give each config its own "coach"`);
+    const same = coaches.slice(0, i).find(other => fixedSources(other.config) === fixedSources(entry.config) && fixedSources(entry.config) !== '[]');
+    if (same) errors.push(`coaches[${i}] (${entry.id}) reads the same calendars as ${same.id}; give each config its own "sources"`);
+  });
+  if (errors.length) {
+    throw new Error(`Invalid ${path.basename(coachesPath)}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { title: directory.title || DEFAULT_COACH.brand, coaches };
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseClock,
+  formatDuration,
+  validateConfig,
+  loadConfig,
+  validateCoaches,
+  loadCoaches,
+  loadEnvFile
+};
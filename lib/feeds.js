@@ -0,0 +1,119 @@
+// Machine-readable outputs for other tools
+
+const crypto = require('crypto');
+const { TIMEZONE, toGoogleDateStr } = require('./time');
+
+function slotJSON(slot) {
+  return {
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    bookableUntil: slot.bookableUntil.toISOString(),
+    ...(slot.seatsLeft !== undefined ? { seatsLeft: slot.seatsLeft } : {}),
+    dateKey: slot.dateKey,
+    weekKey: slot.weekKey
+  };
+}
+
+// availability.json: every open slot per session type plus generation
+// metadata. In-person types also list their slots at each building.
+function buildAvailabilityJSON(sessionTypes, allSlots, bookingWindow, now, capacity = {}, dayRules = new Map(), sourceReports = [], sites = null, siteSlots = {}) {
+  const types = {};
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    const config = sessionTypes[typeKey];
+    const atSites = Object.entries(siteSlots).filter(([, bySite]) => bySite[typeKey]);
+    types[typeKey] = {
+      name: config.name,
+      duration: config.duration,
+      buffer: config.buffer,
+      leadTime: config.leadTime,
+      questions: config.questions,
+      seats: config.seats,
+      joinable: config.joinable,
+      slotCount: slots.length,
+      slots: slots.map(slotJSON),
+      ...(atSites.length ? { siteSlots: Object.fromEntries(atSites.map(([siteId, bySite]) => [siteId, bySite[typeKey].map(slotJSON)])) } : {})
+    };
+  }
+  return {
+    generatedAt: now.toISOString(),
+    // Filled in by hashContent once the page is rendered
+    contentHash: null,
+    timezone: TIMEZONE,
+    window: {
+      start: bookingWindow.start.toISOString(),
+      end: bookingWindow.end.toISOString(),
+      weeks: bookingWindow.weeks,
+      cappedAtSchoolYearEnd: bookingWindow.capped
+    },
+    capacity,
+    sites: sites ? sites.buildings.map(building => ({ id: building.id, name: building.name, match: building.match })) : [],
+    // So the booking API keeps bookings at different buildings far enough apart
+    travel: sites ? { minutes: sites.travel, base: sites.base, defaultTravelMinutes: sites.defaultTravelMinutes } : null,
+    // Events seen per source, so the next run can spot a feed that came back short
+    sources: sourceReports
+      .filter(report => report.eventCount !== undefined)
+      .map(report => ({ name: report.name, eventCount: report.eventCount })),
+    dayRules: [...dayRules].sort(([a], [b]) => a.localeCompare(b)).map(([date, rule]) => ({
+      date,
+      name: rule.name,
+      closed: !!rule.closed,
+      window: rule.window ? {
+        start: `${String(rule.window.start.hour).padStart(2, '0')}:${String(rule.window.start.minute).padStart(2, '0')}`,
+        end: `${String(rule.window.end.hour).padStart(2, '0')}:${String(rule.window.end.minute).padStart(2, '0')}`
+      } : null
+    })),
+    sessionTypes: types
+  };
+}
+
+// Hash of everything a visitor sees: availability.json without the run's own
+// timestamp and source counts, plus the rendered page. Equal hashes mean the
+// run found nothing new and the published files can stay as they are.
+function hashContent(availability, pageHtml) {
+  const { generatedAt, contentHash, sources, ...content } = availability;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).update(pageHtml).digest('hex');
+}
+
+// Escape TEXT values per RFC 5545 section 3.3.11
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// open-slots.ics: one transparent VEVENT per open slot, for calendar
+// subscribers. With several coaches, `coachId` keeps each one's UIDs apart.
+function buildOpenSlotsICS(sessionTypes, allSlots, now, coachId = null) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BCCS//Playbook Support Booking//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Playbook Support - Open Slots',
+    `X-WR-TIMEZONE:${TIMEZONE}`
+  ];
+  const stamp = toGoogleDateStr(now);
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    const config = sessionTypes[typeKey];
+    for (const slot of slots) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${coachId ? `${coachId}-` : ''}${typeKey}-${slot.googleStart}@bccs-playbook-booking`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${slot.googleStart}`,
+        `DTEND:${slot.googleEnd}`,
+        `SUMMARY:${escapeIcsText(`Open: ${config.name}`)}`,
+        `CATEGORIES:${typeKey}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+  }
+  lines.push('END:VCALENDAR');
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { buildAvailabilityJSON, hashContent, buildOpenSlotsICS, escapeIcsText };
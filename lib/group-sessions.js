@@ -0,0 +1,61 @@
+// Group sessions: a type with `seats` takes several people per booking, and a
+// `joinable` one (like office hours) stays on the page after it's booked
+// until its seats are filled.
+
+const { makeSlot } = require('./slots');
+const { easternDateKey } = require('./time');
+const { bookableUntil } = require('./lead-time');
+
+// People on one booking: the booker plus any guests
+function seatsUsed(booking) {
+  return booking.seats || 1;
+}
+
+// Booked sessions of one type, keyed by start ISO, with the seats they use
+function bookedSessions(bookings, typeKey) {
+  const sessions = new Map();
+  for (const booking of bookings) {
+    if (booking.status === 'cancelled' || booking.type !== typeKey) continue;
+    const session = sessions.get(booking.start) || { start: booking.start, end: booking.end, taken: 0 };
+    session.taken += seatsUsed(booking);
+    sessions.set(booking.start, session);
+  }
+  return sessions;
+}
+
+// Seats still free in a joinable type's session at `start`, or null when
+// nobody has booked it yet
+function seatsLeft(type, bookings, typeKey, start) {
+  const session = bookedSessions(bookings, typeKey).get(start);
+  return session ? Math.max(0, type.seats - session.taken) : null;
+}
+
+// Put booked joinable sessions with seats left back among the open slots
+// (the bookings themselves made that time busy) and note the seats left on
+// every slot of a group type
+function applyGroupSessions(allSlots, sessionTypes, bookings, now, bookingWindow, dayRules = new Map(), businessHours = null) {
+  const result = {};
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    const config = sessionTypes[typeKey];
+    if (config.seats <= 1) {
+      result[typeKey] = slots;
+      continue;
+    }
+    const open = slots.map(slot => ({ ...slot, seatsLeft: config.seats }));
+    if (config.joinable) {
+      for (const session of bookedSessions(bookings, typeKey).values()) {
+        const start = new Date(session.start);
+        const rule = dayRules.get(easternDateKey(start));
+        const until = bookableUntil(config.leadTime, start, businessHours, dayRules);
+        if (session.taken >= config.seats || (rule && rule.closed) || now >= until) continue;
+        if (start < bookingWindow.start || start >= bookingWindow.end) continue;
+        open.push({ ...makeSlot(start, new Date(session.end), until), seatsLeft: config.seats - session.taken });
+      }
+      open.sort((a, b) => a.start - b.start);
+    }
+    result[typeKey] = open;
+  }
+  return result;
+}
+
+module.exports = { seatsUsed, seatsLeft, applyGroupSessions };
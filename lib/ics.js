@@ -0,0 +1,199 @@
+// Reading and pre-filtering iCal feeds
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { toIcsDateKey } = require('./time');
+
+// Fetches give up after this long, and are retried with doubling waits
+const FETCH_TIMEOUT_MS = 30000;
+const FETCH_ATTEMPTS = 3;
+const FETCH_BACKOFF_MS = 2000;
+
+// Non-recurring events that started this many days before the window are kept
+// by the pre-filter so multi-day events already in progress still block time.
+const PREFILTER_LOOKBACK_DAYS = 14;
+
+// Pre-filter iCal data to reduce memory usage
+function filterIcsData(rawData, window) {
+  // Split into lines, extract VCALENDAR header/footer and individual VEVENTs
+  // Keep: VEVENTs with RRULE (recurring - might have future instances)
+  // Keep: VEVENTs with RECURRENCE-ID (a moved or edited occurrence of a
+  //       series) wherever they now fall, or the original time comes back
+  // Keep: VEVENTs with DTSTART inside the booking window (minus a lookback)
+  // Drop: Old non-recurring VEVENTs and ones past the window end
+  const fromKey = toIcsDateKey(new Date(window.start.getTime() - PREFILTER_LOOKBACK_DAYS * 86400000));
+  const untilKey = toIcsDateKey(window.end);
+
+  const lines = rawData.split(/\r?\n/);
+  const header = []; // Everything before first VEVENT
+  const footer = []; // END:VCALENDAR
+  const relevantEvents = [];
+
+  let inEvent = false;
+  let currentEvent = [];
+  let inHeader = true;
+
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') {
+      inEvent = true;
+      inHeader = false;
+      currentEvent = [line];
+    } else if (line === 'END:VEVENT') {
+      currentEvent.push(line);
+      inEvent = false;
+
+      // Decide whether to keep this event
+      const eventText = currentEvent.join('\n');
+      const hasRRule = eventText.includes('RRULE:');
+      let keep = false;
+
+      if (/^RECURRENCE-ID[;:]/m.test(eventText)) {
+        keep = true;
+      } else if (hasRRule) {
+        // Always keep recurring events - they might have instances in our range
+        // But check if RRULE has an UNTIL that's before the window opens
+        const untilMatch = eventText.match(/UNTIL=(\d{8})/);
+        if (untilMatch) {
+          keep = untilMatch[1] >= fromKey;
+        } else {
+          keep = true; // No UNTIL = still recurring
+        }
+      } else {
+        // Non-recurring: check DTSTART date against the window
+        const dtstartMatch = eventText.match(/DTSTART[^:]*:(\d{8})/);
+        if (dtstartMatch) {
+          keep = dtstartMatch[1] >= fromKey && dtstartMatch[1] <= untilKey;
+        }
+      }
+
+      if (keep) {
+        relevantEvents.push(currentEvent.join('\r\n'));
+      }
+      currentEvent = [];
+    } else if (inEvent) {
+      currentEvent.push(line);
+    } else if (inHeader) {
+      header.push(line);
+    }
+  }
+
+  // Rebuild the ICS with only relevant events
+  // Make sure we have the VCALENDAR wrapper
+  let headerStr = header.join('\r\n');
+  if (!headerStr.includes('BEGIN:VCALENDAR')) {
+    headerStr = 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\n' + headerStr;
+  }
+
+  const result = headerStr + '\r\n' +
+    relevantEvents.join('\r\n') + '\r\n' +
+    'END:VCALENDAR';
+
+  return result;
+}
+
+// Reject text that isn't a whole calendar: an HTML error page, an empty body
+// or a download cut off part way through
+function checkIcsData(rawData) {
+  const text = rawData.replace(/^\uFEFF/, '').trim();
+  if (!text.startsWith('BEGIN:VCALENDAR')) {
+    throw new Error(text ? 'response is not an iCal calendar (no BEGIN:VCALENDAR)' : 'calendar is empty');
+  }
+  if (!/END:VCALENDAR$/.test(text)) {
+    throw new Error('calendar looks truncated (no END:VCALENDAR)');
+  }
+  return rawData;
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx are not
+function isRetryable(err) {
+  return err.status === undefined || err.status === 429 || err.status >= 500;
+}
+
+// Fetch `url`, returning { status, text, headers }. A 304 Not Modified (for
+// conditional requests) comes back with empty text.
+async function fetchWithRetry(url, {
+  fetchImpl = fetch,
+  headers = {},
+  attempts = FETCH_ATTEMPTS,
+  timeoutMs = FETCH_TIMEOUT_MS,
+  backoffMs = FETCH_BACKOFF_MS,
+  sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await fetchImpl(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+      if (response.status === 304) return { status: 304, text: '', headers: response.headers };
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+      }
+      return { status: response.status, text: await response.text(), headers: response.headers };
+    } catch (err) {
+      if (err.name === 'TimeoutError') err.message = `timed out after ${timeoutMs / 1000}s`;
+      if (attempt >= attempts || !isRetryable(err)) {
+        if (attempt > 1) err.message += ` (after ${attempt} attempts)`;
+        throw err;
+      }
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+// Cached copy of a feed plus the validators it was served with. Files are
+// named by a hash of the URL, since calendar URLs carry secret tokens.
+function cacheFiles(cacheDir, url) {
+  const key = crypto.createHash('sha256').update(url).digest('hex').slice(0, 16);
+  return { body: path.join(cacheDir, `${key}.ics`), meta: path.join(cacheDir, `${key}.json`) };
+}
+
+function readCache(files) {
+  if (!fs.existsSync(files.body) || !fs.existsSync(files.meta)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(files.meta, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+// Conditional GET against the cache: send the stored ETag/Last-Modified and
+// reuse the cached body on 304. Only feeds that pass checkIcsData are cached.
+async function fetchCachedIcs(url, { cacheDir, onNotModified = () => {}, ...fetchOptions }) {
+  const files = cacheFiles(cacheDir, url);
+  const cached = readCache(files);
+  const headers = {};
+  if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetchWithRetry(url, { ...fetchOptions, headers });
+  if (response.status === 304) {
+    onNotModified();
+    return fs.readFileSync(files.body, 'utf8');
+  }
+
+  const text = checkIcsData(response.text);
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  if (etag || lastModified) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(files.body, text);
+    fs.writeFileSync(files.meta, JSON.stringify({ etag, lastModified, fetchedAt: new Date().toISOString() }) + '\n');
+  }
+  return text;
+}
+
+// Read raw iCal text for a source from its URL, env-var URL or local file.
+// With `cacheDir` set, URL feeds use conditional requests against a local copy.
+async function readSourceIcs(source, env = process.env, { cacheDir = null, onNotModified, ...fetchOptions } = {}) {
+  if (source.path) {
+    return checkIcsData(fs.readFileSync(source.path, 'utf8'));
+  }
+  const url = source.url || env[source.urlEnv];
+  if (!url) throw new Error(`${source.urlEnv} is not set`);
+  const fetchUrl = url.replace(/^webcal:/, 'https:');
+  if (cacheDir) return checkIcsData(await fetchCachedIcs(fetchUrl, { cacheDir, onNotModified, ...fetchOptions }));
+  return checkIcsData((await fetchWithRetry(fetchUrl, fetchOptions)).text);
+}
+
+module.exports = { filterIcsData, checkIcsData, fetchWithRetry, readSourceIcs };
@@ -0,0 +1,115 @@
+// Lead time: how far ahead a session must be booked. Plain hours count every
+// hour on the clock; business hours and business days count only the coach's
+// working time, skipping weekends and days the school calendar closes.
+
+const { toEasternParts, easternDate, easternDateKey } = require('./time');
+
+// How far the calendar walks looking for working time before giving up
+const MAX_DAYS = 366;
+const NEVER = new Date(8.64e15);
+
+// The Eastern calendar day `offset` days after `parts`' date
+function dayAfter(parts, offset) {
+  return toEasternParts(easternDate(parts.year, parts.month, parts.day + offset, 12, 0));
+}
+
+function isWorkingDay(day, businessHours, dayRules) {
+  if (!businessHours.days.includes(day.dayOfWeek)) return false;
+  const rule = dayRules.get(easternDateKey(easternDate(day.year, day.month, day.day, 12, 0)));
+  return !(rule && rule.closed);
+}
+
+// [open, close] of a working day's business hours, in ms
+function workingHours(day, businessHours) {
+  const { start, end } = businessHours.window;
+  return [
+    easternDate(day.year, day.month, day.day, start.hour, start.minute).getTime(),
+    easternDate(day.year, day.month, day.day, end.hour, end.minute).getTime()
+  ];
+}
+
+// The `count`-th working day after (count > 0) or before (count < 0) `from`
+function stepWorkingDays(from, count, businessHours, dayRules) {
+  const direction = Math.sign(count);
+  let found = 0;
+  for (let offset = direction; Math.abs(offset) <= MAX_DAYS; offset += direction) {
+    const day = dayAfter(from, offset);
+    if (isWorkingDay(day, businessHours, dayRules) && ++found === Math.abs(count)) return day;
+  }
+  return null;
+}
+
+// Earliest session start that can be booked at `now`. `businessHours` is
+// config.businessHours; `dayRules` closes school calendar blackout days.
+function leadTimeCutoff(leadTime, now, businessHours, dayRules = new Map()) {
+  if (!leadTime.amount) return now;
+  if (leadTime.unit === 'hours') return new Date(now.getTime() + leadTime.amount * 3600000);
+
+  const today = toEasternParts(now);
+  if (leadTime.unit === 'businessDays') {
+    // The same time of day `amount` working days on. On a day off the count
+    // starts from the next working morning, so Saturday + 1 is Tuesday.
+    if (!isWorkingDay(today, businessHours, dayRules)) {
+      const start = stepWorkingDays(today, 1, businessHours, dayRules);
+      const day = start && stepWorkingDays(start, leadTime.amount, businessHours, dayRules);
+      return day ? easternDate(day.year, day.month, day.day, 0, 0) : NEVER;
+    }
+    const day = stepWorkingDays(today, leadTime.amount, businessHours, dayRules);
+    return day ? new Date(easternDate(day.year, day.month, day.day, today.hour, today.minute).getTime() + now.getTime() % 60000) : NEVER;
+  }
+
+  // Business hours: spend `amount` hours of working time from now
+  let remaining = leadTime.amount * 3600000;
+  for (let offset = 0; offset <= MAX_DAYS; offset++) {
+    const day = dayAfter(today, offset);
+    if (!isWorkingDay(day, businessHours, dayRules)) continue;
+    const [open, close] = workingHours(day, businessHours);
+    const from = Math.max(open, now.getTime());
+    if (close <= from) continue;
+    if (close - from >= remaining) return new Date(from + remaining);
+    remaining -= close - from;
+  }
+  return NEVER;
+}
+
+// Latest time a session starting at `start` can still be booked: the inverse
+// of leadTimeCutoff, so the page and the booking API can expire it later
+function bookableUntil(leadTime, start, businessHours, dayRules = new Map()) {
+  if (!leadTime.amount) return start;
+  if (leadTime.unit === 'hours') return new Date(start.getTime() - leadTime.amount * 3600000);
+
+  const day = toEasternParts(start);
+  if (leadTime.unit === 'businessDays') {
+    if (isWorkingDay(day, businessHours, dayRules)) {
+      // The same time of day, `amount` working days back
+      const from = stepWorkingDays(day, -leadTime.amount, businessHours, dayRules);
+      return from ? easternDate(from.year, from.month, from.day, day.hour, day.minute) : new Date(0);
+    }
+    // A session on a day off: anything whose cutoff lands on the last working
+    // day before it, so up to the end of the day `amount` working days earlier
+    const lastWorking = stepWorkingDays(day, -1, businessHours, dayRules);
+    const from = lastWorking && stepWorkingDays(lastWorking, -leadTime.amount, businessHours, dayRules);
+    return from ? new Date(easternDate(from.year, from.month, from.day + 1, 0, 0).getTime() - 1) : new Date(0);
+  }
+
+  // Business hours: walk back `amount` hours of working time from the start
+  let remaining = leadTime.amount * 3600000;
+  for (let offset = 0; offset >= -MAX_DAYS; offset--) {
+    const current = dayAfter(day, offset);
+    if (!isWorkingDay(current, businessHours, dayRules)) continue;
+    const [open, close] = workingHours(current, businessHours);
+    const until = Math.min(close, start.getTime());
+    if (until <= open) continue;
+    if (until - open >= remaining) return new Date(until - remaining);
+    remaining -= until - open;
+  }
+  return new Date(0);
+}
+
+// "4 hours", "8 business hours", "2 business days"
+function formatLeadTime(leadTime) {
+  const unit = { hours: 'hour', businessHours: 'business hour', businessDays: 'business day' }[leadTime.unit];
+  return `${leadTime.amount} ${unit}${leadTime.amount === 1 ? '' : 's'}`;
+}
+
+module.exports = { leadTimeCutoff, bookableUntil, formatLeadTime };
@@ -0,0 +1,274 @@
+// Functions the booking page runs in the browser. They only compute, with no
+// DOM or page state, so tests call them here and render.js copies their
+// source into the page's script. That's why they are written like the rest
+// of the page script: ES5, with var and function only.
+
+function zoneFormat(zone, options) {
+  options.timeZone = zone;
+  return new Intl.DateTimeFormat('en-US', options);
+}
+
+// { year, month, day } of `date` in `zone`, zero-padded
+function dateKeyIn(zone, date) {
+  return zoneFormat(zone, { year: 'numeric', month: '2-digit', day: '2-digit' }).formatToParts(date)
+    .reduce(function(parts, p) { parts[p.type] = p.value; return parts; }, {});
+}
+
+// "2026-10-27" for `date` in `zone`
+function dateKey(zone, date) {
+  var p = dateKeyIn(zone, date);
+  return p.year + '-' + p.month + '-' + p.day;
+}
+
+function sameDate(a, b) {
+  return a.year === b.year && a.month === b.month && a.day === b.day;
+}
+
+// A slot button's label in `zone`. Date groups stay on the coach's school
+// days, so a slot that falls on another local date shows its weekday too.
+function slotLabel(start, zone, coachZone) {
+  var time = zoneFormat(zone, { hour: 'numeric', minute: '2-digit', hour12: true }).format(start);
+  var otherDay = !sameDate(dateKeyIn(zone, start), dateKeyIn(coachZone, start));
+  return { time: time, otherDay: otherDay ? zoneFormat(zone, { weekday: 'short' }).format(start) : '' };
+}
+
+// "Tuesday, October 27 at 9:00 AM CDT" in `zone`
+function describeSlot(isoStart, zone) {
+  var start = new Date(isoStart);
+  var date = zoneFormat(zone, { weekday: 'long', month: 'long', day: 'numeric' }).format(start);
+  var time = zoneFormat(zone, { hour: 'numeric', minute: '2-digit', hour12: true, timeZoneName: 'short' }).format(start);
+  return date + ' at ' + time;
+}
+
+// "just now", "5m ago", "3h ago", "2d ago"
+function formatAge(ms) {
+  var minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return minutes + 'm ago';
+  if (minutes < 48 * 60) return Math.floor(minutes / 60) + 'h ago';
+  return Math.floor(minutes / 1440) + 'd ago';
+}
+
+// The page is only rebuilt every few hours. Of one date group's slots, which
+// have passed their type's lead time (bookable-until) at `now`, and whether
+// the group goes too: once all its slots have, or once its date is before
+// `today` on the coach's clock. A labelled day with no slots stays until then.
+function expireDay(date, bookableUntil, now, today) {
+  var expired = bookableUntil.map(function(until) { return now >= new Date(until).getTime(); });
+  var left = expired.filter(function(gone) { return !gone; }).length;
+  return { expired: expired, gone: (expired.length > 0 && left === 0) || date < today };
+}
+
+// How old the last check is at `now`, and whether that's past the page's
+// stale-after limit
+function checkAge(checkedAt, now, staleAfterHours) {
+  var age = now - checkedAt;
+  return { text: formatAge(age), stale: age > staleAfterHours * 3600000 };
+}
+
+function addDays(dateKey, days) {
+  var p = dateKey.split('-');
+  return new Date(Date.UTC(+p[0], p[1] - 1, +p[2] + days)).toISOString().slice(0, 10);
+}
+
+// "0900" on `zone`'s clock
+function zoneClock(zone, date) {
+  return zoneFormat(zone, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date).replace(':', '');
+}
+
+// 20261027T090000 on `zone`'s clock, for the invite's TZID times
+function zoneBasic(zone, date) {
+  var p = dateKeyIn(zone, date);
+  return p.year + p.month + p.day + 'T' + zoneClock(zone, date) + '00';
+}
+
+// Minutes since 1970 on `zone`'s wall clock, so the same time a week later
+// is 7 days of minutes on, across a DST change too
+function wallMinutes(zone, date) {
+  var clock = zoneClock(zone, date);
+  return Date.parse(dateKey(zone, date) + 'T00:00:00Z') / 60000 + clock.slice(0, 2) * 60 + +clock.slice(2);
+}
+
+// A weekly series from the `first` slot: one entry per week with the slot to
+// book (null skips the week) and the first's usual wall-clock stamp that week
+// on the coach's clock in `zone`. A week where that time isn't among the
+// `open` slots offers up to four open times that week, nearest first.
+// Slots are { start, end, date, week }, with the date and week they're
+// listed under.
+function planSeries(first, weeks, open, zone) {
+  var clock = zoneClock(zone, new Date(first.start));
+  var usualMinutes = wallMinutes(zone, new Date(first.start));
+  var plan = [];
+  for (var i = 0; i < weeks; i++) {
+    var date = addDays(first.date, 7 * i);
+    var week = addDays(first.week, 7 * i);
+    var target = usualMinutes + 7 * i * 1440;
+    var same = i === 0 ? first : open.filter(function(slot) {
+      return slot.date === date && zoneClock(zone, new Date(slot.start)) === clock;
+    })[0];
+    var entry = { date: date, usual: date.replace(/-/g, '') + 'T' + clock + '00', slot: same || null, conflict: !same, alternatives: [] };
+    if (entry.conflict) {
+      var distance = function(slot) { return Math.abs(wallMinutes(zone, new Date(slot.start)) - target); };
+      entry.alternatives = open.filter(function(slot) { return slot.week === week; })
+        .sort(function(a, b) { return distance(a) - distance(b); }).slice(0, 4);
+      entry.slot = entry.alternatives[0] || null;
+    }
+    plan.push(entry);
+  }
+  return plan;
+}
+
+// One recurring event for a planned series: the usual time weekly, minus the
+// weeks that moved or were skipped (EXDATE), plus the times they moved to
+// (RDATE), all on the coach's clock in `zone`. `sessions` describes each
+// booked time in `displayZone`.
+function seriesRecurrence(plan, zone, displayZone) {
+  var moved = plan.filter(function(entry) { return entry.conflict; });
+  return {
+    zone: zone,
+    count: plan.length,
+    start: zoneBasic(zone, new Date(plan[0].slot.start)),
+    end: zoneBasic(zone, new Date(plan[0].slot.end)),
+    exdates: moved.map(function(entry) { return entry.usual; }),
+    rdates: moved.filter(function(entry) { return entry.slot; }).map(function(entry) {
+      return zoneBasic(zone, new Date(entry.slot.start));
+    }),
+    sessions: plan.filter(function(entry) { return entry.slot; }).map(function(entry) {
+      return describeSlot(entry.slot.start, displayZone);
+    })
+  };
+}
+
+// One booked session as every calendar choice takes it: Google, Outlook on
+// the web, or an .ics file. `options` has the booking id, the series'
+// `recurrence` (see seriesRecurrence) and the coach's name, email and brand.
+function calendarEvent(slot, details, intake, options) {
+  var recurrence = options.recurrence || null;
+  var sessions = recurrence ? 'Sessions:\n' + recurrence.sessions.join('\n') : '';
+  var description = [intake.lines.join('\n'), details.notes, sessions].filter(Boolean).join('\n\n');
+  description += (description ? '\n\n---\n' : '') + 'Booked via ' + options.coach.brand;
+  return {
+    id: options.id || slot.slot + '-' + slot.type,
+    title: slot.name + ': Playbook Support',
+    start: new Date(slot.slot),
+    end: new Date(slot.slotEnd),
+    description: description,
+    location: details.location || 'Zoom (link will be shared)',
+    organizer: { name: options.coach.name, email: options.coach.email },
+    attendee: { name: details.name, email: details.email },
+    guests: intake.guests,
+    recurrence: recurrence
+  };
+}
+
+// 20261027T130000Z
+function basicUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Google shows the times in `zone`
+function googleCalendarUrl(event, zone) {
+  var params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.title,
+    dates: basicUtc(event.start) + '/' + basicUtc(event.end),
+    ctz: zone,
+    details: event.description,
+    location: event.location,
+    add: [event.organizer.email].concat(event.guests).join(',')
+  });
+  return 'https://calendar.google.com/calendar/render?' + params.toString();
+}
+
+// Office 365 (work/school accounts) and Outlook.com share the compose deep link
+function outlookUrl(event, host) {
+  var params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.title,
+    startdt: event.start.toISOString(),
+    enddt: event.end.toISOString(),
+    body: event.description,
+    location: event.location,
+    to: [event.organizer.email].concat(event.guests).join(',')
+  });
+  return 'https://' + host + '/calendar/0/deeplink/compose?' + params.toString();
+}
+
+// A TEXT property value (RFC 5545 3.3.11)
+function icsText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// A parameter value such as CN, quoted: it can't hold a DQUOTE or control
+// characters at all (RFC 5545 3.2), so those are dropped
+function icsParam(value) {
+  return '"' + String(value).replace(/[\x00-\x1f"]/g, '') + '"';
+}
+
+// Lines longer than 75 characters continue on the next line after a space
+function icsFold(line) {
+  var out = line.slice(0, 75);
+  for (var i = 75; i < line.length; i += 74) out += '\r\n ' + line.slice(i, i + 74);
+  return out;
+}
+
+// The .ics invite. A series is one event on the coach's clock, so it keeps
+// its hour across DST changes; `vtimezone` are the lines defining that zone.
+function buildIcsInvite(event, vtimezone, now) {
+  var attendeeName = event.attendee.name ? 'CN=' + icsParam(event.attendee.name) + ';' : '';
+  var rule = event.recurrence;
+  var tzid = rule ? ';TZID=' + rule.zone + ':' : '';
+  var timing = rule ? [
+    'DTSTART' + tzid + rule.start,
+    'DTEND' + tzid + rule.end,
+    'RRULE:FREQ=WEEKLY;COUNT=' + rule.count
+  ].concat(
+    rule.exdates.length ? ['EXDATE' + tzid + rule.exdates.join(',')] : [],
+    rule.rdates.length ? ['RDATE' + tzid + rule.rdates.join(',')] : []
+  ) : [
+    'DTSTART:' + basicUtc(event.start),
+    'DTEND:' + basicUtc(event.end)
+  ];
+  var lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BCCS//Playbook Support Booking//EN',
+    'METHOD:PUBLISH'
+  ].concat(rule ? vtimezone : [], [
+    'BEGIN:VEVENT',
+    'UID:' + event.id + '@bccs-playbook-booking',
+    'DTSTAMP:' + basicUtc(now)
+  ], timing, [
+    'SUMMARY:' + icsText(event.title),
+    'DESCRIPTION:' + icsText(event.description),
+    'LOCATION:' + icsText(event.location),
+    'ORGANIZER;CN=' + icsParam(event.organizer.name) + ':mailto:' + event.organizer.email,
+    'ATTENDEE;' + attendeeName + 'ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:' + event.attendee.email
+  ], event.guests.map(function(guest) {
+    return 'ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:' + guest;
+  }), [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    'DESCRIPTION:' + icsText(event.title),
+    'TRIGGER:-PT15M',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ]);
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+const PAGE_FUNCTIONS = {
+  zoneFormat, dateKeyIn, dateKey, sameDate, slotLabel, describeSlot,
+  formatAge, expireDay, checkAge,
+  addDays, zoneClock, zoneBasic, wallMinutes, planSeries, seriesRecurrence,
+  calendarEvent, basicUtc, googleCalendarUrl, outlookUrl, icsText, icsParam, icsFold, buildIcsInvite
+};
+
+// Their source for the page's <script>, each line after the first indented
+function pageFunctionsSource(indent = '') {
+  return Object.values(PAGE_FUNCTIONS).map(fn => fn.toString()).join('\n\n').replace(/\n(?=.)/g, '\n' + indent);
+}
+
+module.exports = { ...PAGE_FUNCTIONS, pageFunctionsSource };
@@ -0,0 +1,1308 @@
+// HTML page rendering
+
+const { TIMEZONE, formatDateLong, formatTime12 } = require('./time');
+const { groupSlots } = require('./slots');
+const { formatLeadTime } = require('./lead-time');
+const { MAX_SERIES } = require('./bookings');
+const { pageFunctionsSource } = require('./page-script');
+
+// The coach's zone (TIMEZONE) for recurring invites, whose times are on the
+// coach's clock: US Eastern, with the daylight saving rules in use since 2007
+const COACH_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:America/New_York',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:20070311T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:20071104T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// "a", "a and b", "a, b, and c"
+function joinList(items) {
+  if (items.length <= 2) return items.join(' and ');
+  return items.slice(0, -1).join(', ') + ', and ' + items[items.length - 1];
+}
+
+function buildSessionCardsHTML(sessionTypes) {
+  return Object.entries(sessionTypes).map(([typeKey, config]) => `
+                <div class="session-card" data-target="${typeKey}">
+                    <span class="duration">${escapeHtml(config.durationLabel)}${config.seats > 1 ? ` · up to ${config.seats} people` : ''}${config.inPerson ? ' · in person or virtual' : ''}</span>
+                    <h3>${escapeHtml(config.name)}</h3>
+                    <p>${escapeHtml(config.description)}</p>
+                    <span class="btn btn-outline">Select Times</span>
+                </div>`).join('');
+}
+
+function buildTabsHTML(sessionTypes) {
+  return Object.entries(sessionTypes).map(([typeKey, config], i) => `
+                <button class="tab-btn${i === 0 ? ' active' : ''}" data-type="${typeKey}">${escapeHtml(config.name)}</button>`).join('');
+}
+
+function buildWhichSessionHTML(sessionTypes) {
+  return Object.values(sessionTypes).map(config =>
+    `<strong>${escapeHtml(config.name)} (${escapeHtml(config.durationLabel)})</strong> - ${escapeHtml(config.whenToChoose)}`
+  ).join('<br>\n                            ');
+}
+
+// "4 hours notice for Quick Check-ins and Standard Check-ins, 2 business days for ..."
+function buildCancellationNotice(sessionTypes) {
+  const byLeadTime = new Map();
+  for (const config of Object.values(sessionTypes)) {
+    const label = formatLeadTime(config.leadTime);
+    if (!byLeadTime.has(label)) byLeadTime.set(label, []);
+    byLeadTime.get(label).push(config.name + 's');
+  }
+  const parts = [...byLeadTime].map(([label, names], i) =>
+    `${label}${i === 0 ? ' notice' : ''} for ${joinList(names)}`
+  );
+  return escapeHtml(joinList(parts));
+}
+
+// Intake questions for the booking form: one hidden block per session type,
+// shown when one of its slots is picked. Each field is followed by its error.
+function buildIntakeHTML(sessionTypes) {
+  return Object.entries(sessionTypes).map(([typeKey, config]) => {
+    const fields = config.questions.map(question => {
+      const id = `q-${typeKey}-${question.id}`;
+      const attrs = `id="${id}" data-question="${question.id}" data-kind="${question.type}" data-label="${escapeHtml(question.label)}"${question.required ? ' data-required' : ''}`;
+      const input = question.type === 'select'
+        ? `<select ${attrs}><option value="">Choose one</option>${question.options.map(option => `<option>${escapeHtml(option)}</option>`).join('')}</select>`
+        : `<input type="text" ${attrs} placeholder="${escapeHtml(question.placeholder || (question.type === 'emails' ? 'Email addresses, separated by commas' : ''))}">`;
+      return `
+                    <label for="${id}">${escapeHtml(question.label)}${question.required ? ' <span class="required">*</span>' : ''}</label>
+                    ${input}
+                    <p class="error-msg" data-error-for="${id}"></p>`;
+    }).join('');
+    return `
+                <div class="intake" data-type="${typeKey}" style="display:none;">${fields}
+                </div>`;
+  }).join('');
+}
+
+// Zones offered in the switcher; the visitor's detected zone is added in the
+// browser if it isn't one of these
+const TIMEZONE_CHOICES = [
+  ['America/New_York', 'Eastern Time'],
+  ['America/Chicago', 'Central Time'],
+  ['America/Denver', 'Mountain Time'],
+  ['America/Phoenix', 'Arizona Time'],
+  ['America/Los_Angeles', 'Pacific Time'],
+  ['America/Anchorage', 'Alaska Time'],
+  ['Pacific/Honolulu', 'Hawaii Time']
+];
+
+function buildTimezoneOptionsHTML() {
+  return TIMEZONE_CHOICES.map(([zone, label]) =>
+    `<option value="${zone}"${zone === TIMEZONE ? ' selected' : ''}>${label}</option>`
+  ).join('');
+}
+
+function coachZoneLabel() {
+  const choice = TIMEZONE_CHOICES.find(([zone]) => zone === TIMEZONE);
+  return choice ? choice[1] : TIMEZONE;
+}
+
+// Where to meet: virtually or at one of the buildings. Each building's times
+// allow for the coach's travel from the events before and after.
+function buildSiteBarHTML(sites) {
+  if (!sites) return '';
+  const options = sites.buildings.map(building => `<option value="${building.id}">${escapeHtml(building.name)}</option>`).join('');
+  return `
+            <div class="tz-bar">
+                <label for="siteSelect">Meet</label>
+                <select id="siteSelect"><option value="">Virtually (Zoom)</option>${options}</select>
+                <span class="tz-note" id="siteNote"></span>
+            </div>`;
+}
+
+// The FAQ's answer on where sessions happen
+function meetingPlaceAnswer(sessionTypes, sites) {
+  const zoom = 'Sessions default to Zoom (link included in the calendar invite).';
+  const inPerson = Object.values(sessionTypes).filter(config => config.inPerson).map(config => escapeHtml(config.name));
+  if (!sites || !inPerson.length) return `${zoom} If you'd prefer to meet in person, note that in the booking form and we'll arrange it.`;
+  return `${zoom} ${joinList(inPerson)} can also be held in person at ${joinList(sites.buildings.map(building => escapeHtml(building.name)))}: ` +
+    'choose your building under "Meet" before picking a time. The times shown for a building leave room to travel there between other meetings.';
+}
+
+// "2 of 6 seats left" on a joinable session someone has already booked
+function seatsLabelHTML(config, slot) {
+  if (!config.joinable || slot.seatsLeft >= config.seats) return '';
+  return `<span class="seats">${slot.seatsLeft} of ${config.seats} seats left</span>`;
+}
+
+// One session type's slots, grouped by week and date, in a hidden section;
+// `siteId` marks the copy for an in-person session at that building
+function buildSlotSectionHTML(typeKey, config, slots, notices, siteId) {
+  const weeks = groupSlots(slots, notices);
+  let sectionHTML = `<div class="slot-section" data-type="${typeKey}"${siteId ? ` data-site="${siteId}"` : ''} style="display:none;">`;
+  if (slots.length === 0) {
+    sectionHTML += '<p class="no-slots">No available slots for this session type right now.</p>';
+  }
+  for (const [weekKey, week] of weeks) {
+    sectionHTML += `<div class="week-group" data-week="${weekKey}"><h3 class="week-header">${week.label}</h3>`;
+    for (const [dateKey, day] of week.dates) {
+      sectionHTML += `<div class="date-group" data-date="${dateKey}"><h4 class="date-header">${day.label}</h4>`;
+      if (day.notice) {
+        sectionHTML += `<p class="day-notice${day.slots.length ? '' : ' closed'}">${escapeHtml(day.notice)}</p>`;
+      }
+      sectionHTML += '<div class="slot-buttons">';
+      for (const slot of day.slots) {
+        const seats = slot.seatsLeft !== undefined
+          ? ` data-seats="${config.seats}" data-seats-left="${slot.seatsLeft}"${config.joinable ? ' data-joinable' : ''}`
+          : '';
+        sectionHTML += `<button class="slot-btn" data-start="${slot.googleStart}" data-end="${slot.googleEnd}" data-type="${typeKey}" data-slot="${slot.start.toISOString()}" data-slot-end="${slot.end.toISOString()}" data-bookable-until="${slot.bookableUntil.toISOString()}"${seats} data-name="${escapeHtml(config.name)}" data-date-long="${day.label}" data-time="${slot.label}">${slot.label}${seatsLabelHTML(config, slot)}</button>`;
+      }
+      sectionHTML += '</div></div>';
+    }
+    sectionHTML += '</div>';
+  }
+  sectionHTML += `<p class="request-time">${slots.length ? 'None of these times work?' : 'Need a time anyway?'} <button type="button" class="request-btn" data-type="${typeKey}" data-name="${escapeHtml(config.name)}">Request a time</button></p>`;
+  sectionHTML += '</div>';
+  return sectionHTML;
+}
+
+// Slot picker: a section per session type, plus one per building for the
+// types held in person
+function buildSlotPickerHTML(sessionTypes, allSlots, dayNotices = {}, siteSlots = {}) {
+  let slotPickerHTML = '';
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    slotPickerHTML += buildSlotSectionHTML(typeKey, sessionTypes[typeKey], slots, dayNotices[typeKey], null);
+    for (const [siteId, bySite] of Object.entries(siteSlots)) {
+      if (bySite[typeKey]) slotPickerHTML += buildSlotSectionHTML(typeKey, sessionTypes[typeKey], bySite[typeKey], dayNotices[typeKey], siteId);
+    }
+  }
+  return slotPickerHTML;
+}
+
+// "Booking is open up to 6 weeks ahead, through ..."
+function buildHorizonNote(bookingWindow) {
+  // Last bookable day, for the "booking open through" note
+  const lastDay = formatDateLong(new Date(bookingWindow.end.getTime() - 12 * 3600000));
+  return bookingWindow.capped
+    ? `Booking is open through ${lastDay}, the end of the school year.`
+    : `Booking is open up to ${bookingWindow.weeks} weeks ahead, through ${lastDay}.`;
+}
+
+// Placeholder in the page where a failed refresh leaves its banner
+const REFRESH_STATUS_START = '<!-- refresh-status -->';
+const REFRESH_STATUS_END = '<!-- /refresh-status -->';
+
+// Flag an already-published page as out of date. A page that already carries
+// the banner keeps it as is, so repeated failures show when they started.
+// `coach` is config.coach, who people can email instead.
+function markRefreshFailed(html, now, coach) {
+  const start = html.indexOf(REFRESH_STATUS_START);
+  const end = html.indexOf(REFRESH_STATUS_END);
+  if (start === -1 || end === -1 || end > start + REFRESH_STATUS_START.length) return html;
+  const banner = `<div class="stale-banner refresh-failed">We're temporarily unable to refresh availability (since ${escapeHtml(formatDateLong(now))} at ${formatTime12(now)}). ` +
+    `These times may be out of date; if a booking fails, email ${escapeHtml(coach.name)} at ${escapeHtml(coach.email)}.</div>`;
+  return html.slice(0, start + REFRESH_STATUS_START.length) + banner + html.slice(end);
+}
+
+// Whether markRefreshFailed flagged a published page
+function isMarkedRefreshFailed(html) {
+  const start = html.indexOf(REFRESH_STATUS_START);
+  const end = html.indexOf(REFRESH_STATUS_END);
+  return start !== -1 && end > start + REFRESH_STATUS_START.length;
+}
+
+// The page holds no run timestamp, so a run that finds nothing new renders it
+// byte for byte the same; how fresh it is comes from /api/status in the browser
+// `coach` is config.coach: whose page it is, their contact and branding.
+function buildHTML(sessionTypes, allSlots, bookingWindow, dayNotices, page, sites, siteSlots, coach) {
+  const slotPickerHTML = buildSlotPickerHTML(sessionTypes, allSlots, dayNotices, siteSlots);
+  const horizonNote = buildHorizonNote(bookingWindow);
+
+  // Slot data summary for JSON embed
+  const slotCounts = {};
+  for (const [k, v] of Object.entries(allSlots)) {
+    slotCounts[k] = v.length;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(coach.brand)} Sessions</title>
+    <link rel="alternate" type="application/json" href="availability.json" title="Open slots (JSON)">
+    <link rel="alternate" type="text/calendar" href="open-slots.ics" title="Open slots (iCal)">
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Oswald:wght@400;500;600;700&family=Open+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+
+        :root {
+            --purple: #7B68EE;
+            --dark-purple: #5B4ACF;
+            --gold: #FFD700;
+            --teal: #2A9D8F;
+            --white: #FFFFFF;
+            --light-gray: #F8F9FA;
+            --gray: #6B7280;
+            --dark: #1F2937;
+        }
+
+        body { font-family: 'Open Sans', sans-serif; color: var(--dark); line-height: 1.6; background: var(--white); }
+        h1, h2, h3, h4, h5, h6 { font-family: 'Oswald', sans-serif; line-height: 1.2; }
+
+        .hero {
+            background: linear-gradient(135deg, #7B68EE 0%, #5B4ACF 100%);
+            color: var(--white); text-align: center; padding: 4rem 1.5rem;
+            position: relative; overflow: hidden;
+        }
+        .hero::before {
+            content: ''; position: absolute; top: -50%; left: -50%; width: 200%; height: 200%;
+            background: radial-gradient(circle, rgba(255,255,255,0.05) 0%, transparent 70%); pointer-events: none;
+        }
+        .hero h1 { font-size: 2.8rem; font-weight: 700; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 1rem; position: relative; }
+        .hero p { font-size: 1.2rem; max-width: 600px; margin: 0 auto; opacity: 0.95; position: relative; }
+        .hero .badge {
+            display: inline-block; background: var(--gold); color: var(--dark);
+            font-family: 'Oswald', sans-serif; font-size: 0.85rem; font-weight: 600;
+            text-transform: uppercase; letter-spacing: 1px; padding: 0.35rem 1rem;
+            border-radius: 50px; margin-bottom: 1.5rem; position: relative;
+        }
+
+        .container { max-width: 1100px; margin: 0 auto; padding: 0 1.5rem; }
+        section { padding: 4rem 0; }
+
+        .section-title { font-size: 2rem; text-transform: uppercase; letter-spacing: 1px; text-align: center; margin-bottom: 0.5rem; color: var(--dark-purple); }
+        .section-subtitle { text-align: center; color: var(--gray); margin-bottom: 3rem; font-size: 1.05rem; }
+
+        .session-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 1.5rem; }
+        .session-card {
+            background: var(--white); border: 2px solid #E5E7EB; border-radius: 12px;
+            padding: 2rem 1.5rem; text-align: center;
+            transition: transform 0.2s ease, border-color 0.2s ease, box-shadow 0.2s ease;
+            display: flex; flex-direction: column; cursor: pointer;
+        }
+        .session-card:hover { transform: translateY(-4px); border-color: var(--purple); box-shadow: 0 8px 24px rgba(123, 104, 238, 0.15); }
+        .session-card.active { border-color: var(--purple); box-shadow: 0 8px 24px rgba(123, 104, 238, 0.15); }
+        .session-card .duration {
+            display: inline-block; background: linear-gradient(135deg, #7B68EE 0%, #5B4ACF 100%);
+            color: var(--white); font-family: 'Oswald', sans-serif; font-size: 0.85rem; font-weight: 600;
+            text-transform: uppercase; letter-spacing: 1px; padding: 0.3rem 0.9rem;
+            border-radius: 50px; margin-bottom: 1rem;
+        }
+        .session-card h3 { font-size: 1.3rem; margin-bottom: 0.75rem; color: var(--dark); }
+        .session-card p { color: var(--gray); font-size: 0.95rem; margin-bottom: 1.5rem; flex-grow: 1; }
+
+        .btn {
+            display: inline-block; font-family: 'Oswald', sans-serif; font-weight: 600; font-size: 1rem;
+            text-transform: uppercase; letter-spacing: 1px; text-decoration: none;
+            padding: 0.75rem 2rem; border-radius: 8px;
+            transition: transform 0.15s ease, box-shadow 0.15s ease; cursor: pointer; border: none;
+        }
+        .btn:hover { transform: translateY(-2px); box-shadow: 0 4px 12px rgba(0,0,0,0.15); }
+        .btn-purple { background: linear-gradient(135deg, #7B68EE 0%, #5B4ACF 100%); color: var(--white); }
+        .btn-gold { background: var(--gold); color: var(--dark); }
+        .btn-outline { background: transparent; border: 2px solid var(--purple); color: var(--purple); }
+        .btn-outline:hover { background: var(--purple); color: var(--white); }
+
+        /* Slot Picker */
+        .slot-picker { background: var(--white); }
+        .tab-bar { display: flex; flex-wrap: wrap; gap: 0.5rem; justify-content: center; margin-bottom: 2rem; }
+        .tab-btn {
+            font-family: 'Oswald', sans-serif; font-weight: 500; font-size: 0.95rem;
+            text-transform: uppercase; letter-spacing: 0.5px; padding: 0.6rem 1.2rem;
+            border-radius: 8px; border: 2px solid var(--purple); background: transparent;
+            color: var(--purple); cursor: pointer; transition: all 0.15s ease;
+        }
+        .tab-btn:hover { background: rgba(123, 104, 238, 0.1); }
+        .tab-btn.active { background: linear-gradient(135deg, #7B68EE 0%, #5B4ACF 100%); color: var(--white); border-color: transparent; }
+
+        .week-group { margin-bottom: 2rem; }
+        .week-header {
+            font-size: 1.2rem; color: var(--dark-purple); text-transform: uppercase; letter-spacing: 1px;
+            border-bottom: 2px solid #E5E7EB; padding-bottom: 0.5rem; margin-bottom: 1rem;
+        }
+        .date-group { margin-bottom: 1.25rem; }
+        .date-header { font-size: 1rem; color: var(--dark); margin-bottom: 0.5rem; font-weight: 500; }
+        .slot-buttons { display: flex; flex-wrap: wrap; gap: 0.5rem; }
+        .slot-btn {
+            font-family: 'Open Sans', sans-serif; font-size: 0.85rem; font-weight: 600;
+            padding: 0.45rem 0.9rem; border-radius: 6px; border: 1.5px solid var(--purple);
+            background: transparent; color: var(--purple); cursor: pointer;
+            transition: all 0.15s ease;
+        }
+        .slot-btn:hover { background: var(--purple); color: var(--white); transform: translateY(-1px); box-shadow: 0 2px 8px rgba(123,104,238,0.25); }
+        .day-notice { font-size: 0.85rem; color: var(--teal); font-weight: 600; margin-bottom: 0.5rem; }
+        .day-notice.closed { color: var(--gray); font-style: italic; font-weight: 400; }
+        .tz-bar { display: flex; flex-wrap: wrap; align-items: center; justify-content: center; gap: 0.5rem; margin-bottom: 1.5rem; font-size: 0.9rem; color: var(--gray); }
+        .tz-bar label { font-weight: 600; color: var(--dark); }
+        .tz-bar select { font-family: 'Open Sans', sans-serif; font-size: 0.9rem; padding: 0.35rem 0.6rem; border: 1.5px solid #D1D5DB; border-radius: 6px; }
+        .slot-btn .other-day { font-weight: 400; font-size: 0.75rem; }
+        .slot-btn .seats { display: block; font-weight: 400; font-size: 0.75rem; }
+        .freshness { text-align: center; color: var(--gray); font-size: 0.85rem; margin: -2rem 0 1.5rem; }
+        .stale-banner {
+            background: #FFF8DB; border: 1.5px solid var(--gold); border-radius: 8px;
+            padding: 0.75rem 1rem; margin-bottom: 1.5rem; text-align: center; font-size: 0.95rem;
+        }
+        .no-slots { text-align: center; color: var(--gray); font-style: italic; padding: 2rem 0; }
+        .request-time { text-align: center; color: var(--gray); font-size: 0.9rem; margin-top: 1rem; }
+        .request-btn {
+            background: none; border: none; padding: 0; font: inherit; font-weight: 600;
+            color: var(--purple); text-decoration: underline; cursor: pointer;
+        }
+
+        /* Modal */
+        .modal-overlay {
+            display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%;
+            background: rgba(0,0,0,0.5); z-index: 1000; align-items: center; justify-content: center;
+        }
+        .modal-overlay.open { display: flex; }
+        .modal {
+            background: var(--white); border-radius: 12px; padding: 2rem;
+            max-width: 480px; width: 90%; max-height: 90vh; overflow-y: auto;
+            box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+        }
+        .modal h3 { font-size: 1.4rem; margin-bottom: 0.25rem; color: var(--dark-purple); }
+        .modal .modal-subtitle { color: var(--gray); margin-bottom: 1.5rem; font-size: 0.95rem; }
+        .modal label { display: block; font-weight: 600; font-size: 0.9rem; margin-bottom: 0.3rem; color: var(--dark); }
+        .modal label .required { color: #E74C3C; }
+        .modal input[type="text"], .modal input[type="email"], .modal input[type="date"], .modal textarea, .modal select {
+            width: 100%; padding: 0.6rem 0.8rem; border: 1.5px solid #D1D5DB; border-radius: 6px;
+            font-family: 'Open Sans', sans-serif; font-size: 0.95rem; margin-bottom: 1rem;
+            transition: border-color 0.15s ease;
+        }
+        .modal input[type="text"]:focus, .modal input[type="email"]:focus, .modal input[type="date"]:focus, .modal textarea:focus, .modal select:focus { outline: none; border-color: var(--purple); }
+        .modal input.invalid, .modal select.invalid { border-color: #E74C3C; }
+        .modal input[readonly] { background: var(--light-gray); }
+        .modal .checkbox-row select { width: auto; margin-bottom: 0; padding: 0.3rem 0.5rem; }
+        .modal .series-plan { list-style: none; margin: -0.5rem 0 1rem; font-size: 0.9rem; }
+        .modal .series-plan li { padding: 0.3rem 0; border-bottom: 1px solid #EEE; }
+        .modal .series-plan li.conflict { color: #B9770E; }
+        .modal .series-plan li.conflict select { margin: 0.3rem 0 0; }
+        .modal textarea { resize: vertical; min-height: 60px; }
+        .modal .date-range { display: flex; align-items: baseline; gap: 0.5rem; }
+        .modal .times-of-day { flex-wrap: wrap; }
+        .modal .field-hint { color: var(--gray); font-size: 0.85rem; margin: -0.5rem 0 1rem; }
+        .modal .checkbox-row { display: flex; align-items: center; gap: 0.5rem; margin-bottom: 1rem; }
+        .modal .checkbox-row input { width: 18px; height: 18px; accent-color: var(--purple); }
+        .modal .checkbox-row label { margin-bottom: 0; font-weight: 400; }
+        .modal .modal-actions { display: flex; gap: 0.75rem; margin-top: 1.5rem; }
+        .modal .modal-actions .btn { flex: 1; text-align: center; }
+        .modal .error-msg { color: #E74C3C; font-size: 0.85rem; margin-top: -0.75rem; margin-bottom: 0.75rem; display: none; }
+        .modal .form-error { margin-top: 0.75rem; margin-bottom: 0; }
+        .modal .booking-confirmed { color: var(--teal); font-weight: 600; margin-bottom: 1rem; }
+        .modal .booking-confirmed.pending { color: var(--dark); font-weight: 400; }
+        .calendar-choices { display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; }
+        .calendar-choices .btn { font-size: 0.85rem; padding: 0.6rem 0.75rem; text-align: center; }
+        .slot-btn.taken { text-decoration: line-through; opacity: 0.4; pointer-events: none; }
+
+        /* FAQ */
+        .faq { background: var(--light-gray); }
+        .faq-list { max-width: 750px; margin: 0 auto; }
+        .faq-item { background: var(--white); border-radius: 10px; margin-bottom: 1rem; overflow: hidden; box-shadow: 0 1px 4px rgba(0,0,0,0.05); }
+        .faq-question {
+            width: 100%; background: none; border: none; text-align: left; padding: 1.25rem 1.5rem;
+            font-family: 'Oswald', sans-serif; font-size: 1.1rem; font-weight: 500; color: var(--dark);
+            cursor: pointer; display: flex; justify-content: space-between; align-items: center;
+        }
+        .faq-question::after { content: '+'; font-size: 1.4rem; color: var(--purple); transition: transform 0.2s ease; flex-shrink: 0; margin-left: 1rem; }
+        .faq-item.open .faq-question::after { content: '\\2212'; }
+        .faq-answer { max-height: 0; overflow: hidden; transition: max-height 0.3s ease; }
+        .faq-answer-inner { padding: 0 1.5rem 1.25rem; color: var(--gray); font-size: 0.95rem; line-height: 1.7; }
+        .faq-item.open .faq-answer { max-height: 300px; }
+
+        footer {
+            background: var(--dark); color: rgba(255,255,255,0.7); text-align: center; padding: 2.5rem 1.5rem;
+        }
+        footer .footer-brand {
+            font-family: 'Oswald', sans-serif; font-size: 1.3rem; font-weight: 600; color: var(--white);
+            text-transform: uppercase; letter-spacing: 2px; margin-bottom: 0.5rem;
+        }
+        footer p { font-size: 0.9rem; }
+        footer .updated { font-size: 0.8rem; margin-top: 0.5rem; opacity: 0.6; }
+        footer .teal-bar { width: 60px; height: 3px; background: var(--teal); margin: 1rem auto 0; border-radius: 2px; }
+
+        @media (max-width: 768px) {
+            .hero { padding: 3rem 1.25rem; }
+            .hero h1 { font-size: 2rem; }
+            .hero p { font-size: 1.05rem; }
+            section { padding: 3rem 0; }
+            .section-title { font-size: 1.6rem; }
+            .session-grid { grid-template-columns: 1fr; max-width: 400px; margin-left: auto; margin-right: auto; }
+            .tab-bar { gap: 0.4rem; }
+            .tab-btn { font-size: 0.8rem; padding: 0.5rem 0.8rem; }
+            .modal { padding: 1.5rem; }
+        }
+    </style>
+</head>
+<body>
+
+    <header class="hero">
+        <div class="container">
+            <div class="badge">${escapeHtml(coach.badge)}</div>
+            <h1>Playbook Support Sessions</h1>
+            <p>Book dedicated time to work through your Playbook questions, review progress, and plan next steps.</p>
+        </div>
+    </header>
+
+    <section class="sessions">
+        <div class="container">
+            <h2 class="section-title">Session Types</h2>
+            <p class="section-subtitle">Choose the session that best fits what you need right now.</p>
+            <div class="session-grid">${buildSessionCardsHTML(sessionTypes)}
+            </div>
+        </div>
+    </section>
+
+    <section class="slot-picker" id="booking">
+        <div class="container">
+            <h2 class="section-title">Pick a Time</h2>
+            <p class="section-subtitle">Select an available time slot below. ${horizonNote}</p>
+            <p class="freshness" id="freshness" data-stale-after-hours="${page.staleAfterHours}"></p>
+            ${REFRESH_STATUS_START}${REFRESH_STATUS_END}
+            <div class="stale-banner" id="staleBanner" style="display:none;"></div>
+            <div class="tz-bar">
+                <label for="tzSelect">Show times in</label>
+                <select id="tzSelect">${buildTimezoneOptionsHTML()}</select>
+                <span class="tz-note">${escapeHtml(coach.name)}'s calendar is on ${escapeHtml(coachZoneLabel())}.</span>
+            </div>${buildSiteBarHTML(sites)}
+            <div class="tab-bar">${buildTabsHTML(sessionTypes)}
+            </div>
+            ${slotPickerHTML}
+        </div>
+    </section>
+
+    <div class="modal-overlay" id="bookingModal">
+        <div class="modal">
+            <h3 id="modalTitle"></h3>
+            <p class="modal-subtitle" id="modalSubtitle"></p>
+            <form id="bookingForm" novalidate>
+                <label for="fieldName">Your Name <span class="required">*</span></label>
+                <input type="text" id="fieldName" autocomplete="name">
+                <p class="error-msg" data-error-for="fieldName"></p>
+
+                <label for="fieldEmail">Your Email <span class="required">*</span></label>
+                <input type="email" id="fieldEmail" autocomplete="email">
+                <p class="error-msg" data-error-for="fieldEmail"></p>
+${buildIntakeHTML(sessionTypes)}
+
+                <div id="requestFields" style="display:none;">
+                    <label for="fieldFrom">Dates that would work <span class="required">*</span></label>
+                    <div class="date-range">
+                        <input type="date" id="fieldFrom" aria-label="First date">
+                        <span>to</span>
+                        <input type="date" id="fieldTo" aria-label="Last date">
+                    </div>
+                    <p class="error-msg" data-error-for="fieldFrom"></p>
+                    <p class="error-msg" data-error-for="fieldTo"></p>
+
+                    <label>Times of day (${escapeHtml(coachZoneLabel())})</label>
+                    <div class="checkbox-row times-of-day">
+                        <input type="checkbox" id="timeMorning" data-time-of-day="morning"><label for="timeMorning">Morning</label>
+                        <input type="checkbox" id="timeMidday" data-time-of-day="midday"><label for="timeMidday">11 AM to 1 PM</label>
+                        <input type="checkbox" id="timeAfternoon" data-time-of-day="afternoon"><label for="timeAfternoon">Afternoon</label>
+                    </div>
+                    <p class="field-hint">Leave these unticked if any time of day works.</p>
+                </div>
+
+                <div class="series" id="seriesRow">
+                    <div class="checkbox-row">
+                        <input type="checkbox" id="fieldRepeat">
+                        <label for="fieldRepeat">Repeat weekly for</label>
+                        <select id="fieldRepeatWeeks" aria-label="Number of weeks"></select>
+                        <span>weeks</span>
+                    </div>
+                    <ul class="series-plan" id="seriesPlan" style="display:none;"></ul>
+                </div>
+
+                <label>Location of Meeting</label>
+                <input type="text" id="fieldLocation" placeholder="e.g., Zoom, Office, Site">
+
+                <label>Specific Notes</label>
+                <textarea id="fieldNotes" placeholder="Anything you want to cover or that ${escapeHtml(coach.name)} should know?"></textarea>
+
+                <p class="error-msg form-error" id="formError"></p>
+
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-outline" id="modalCancel">Cancel</button>
+                    <button type="submit" class="btn btn-purple" id="modalSubmit">Book This Time</button>
+                </div>
+            </form>
+            <div id="bookingDone" style="display:none;">
+                <p class="booking-confirmed" id="doneMessage"></p>
+                <div class="calendar-choices">
+                    <button type="button" class="btn btn-outline" data-calendar="google">Google Calendar</button>
+                    <button type="button" class="btn btn-outline" data-calendar="office365">Outlook (Office 365)</button>
+                    <button type="button" class="btn btn-outline" data-calendar="outlook">Outlook.com</button>
+                    <button type="button" class="btn btn-outline" data-calendar="ics">Download .ics</button>
+                </div>
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-purple" id="doneClose">Done</button>
+                </div>
+            </div>
+        </div>
+    </div>
+
+    <section class="faq">
+        <div class="container">
+            <h2 class="section-title">Before You Book</h2>
+            <p class="section-subtitle">A few things to know.</p>
+            <div class="faq-list">
+                <div class="faq-item">
+                    <button class="faq-question">Which session type should I choose?</button>
+                    <div class="faq-answer">
+                        <div class="faq-answer-inner">
+                            ${buildWhichSessionHTML(sessionTypes)}
+                        </div>
+                    </div>
+                </div>
+                <div class="faq-item">
+                    <button class="faq-question">Can I reschedule or cancel?</button>
+                    <div class="faq-answer">
+                        <div class="faq-answer-inner">
+                            Yes. Use the link in your calendar invite to reschedule or cancel. Please give at least ${buildCancellationNotice(sessionTypes)} so the time can be opened up for others.
+                        </div>
+                    </div>
+                </div>
+                <div class="faq-item">
+                    <button class="faq-question">What if I don't see any available times?</button>
+                    <div class="faq-answer">
+                        <div class="faq-answer-inner">
+                            Use "Request a time" under the session's times to say which dates and times of day would work. ${escapeHtml(coach.name)} keeps a waitlist and will reach out when a time that fits opens up. For anything urgent, email ${escapeHtml(coach.email)}.
+                        </div>
+                    </div>
+                </div>
+                <div class="faq-item">
+                    <button class="faq-question">Will this be virtual or in-person?</button>
+                    <div class="faq-answer">
+                        <div class="faq-answer-inner">
+                            ${meetingPlaceAnswer(sessionTypes, sites)}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    </section>
+
+    <footer>
+        <div class="container">
+            <div class="footer-brand">${escapeHtml(coach.brand)}</div>
+            <p>${escapeHtml(coach.tagline)}</p>
+            <p class="updated" id="lastChecked"></p>
+            <div class="teal-bar"></div>
+        </div>
+    </footer>
+
+    <script type="application/json" id="slotCounts">${JSON.stringify(slotCounts)}</script>
+    <script>
+        // Helpers kept in lib/page-script.js, where the tests run them
+        ${pageFunctionsSource('        ')}
+
+        // Tab switching
+        var tabs = document.querySelectorAll('.tab-btn');
+        var sections = document.querySelectorAll('.slot-section');
+
+        // In-person types have a section per building; the rest are shown
+        // virtually whatever building is picked
+        var siteSelect = document.getElementById('siteSelect');
+        var activeType = null;
+
+        function activateTab(type) {
+            activeType = type;
+            var site = siteSelect ? siteSelect.value : '';
+            var atSite = site && document.querySelector('.slot-section[data-type="' + type + '"][data-site="' + site + '"]');
+            var shown = atSite ? site : '';
+            tabs.forEach(function(t) { t.classList.toggle('active', t.getAttribute('data-type') === type); });
+            sections.forEach(function(s) {
+                s.style.display = s.getAttribute('data-type') === type && (s.getAttribute('data-site') || '') === shown ? 'block' : 'none';
+            });
+            if (siteSelect) {
+                document.getElementById('siteNote').textContent = site && !atSite ? 'This session type is held virtually.' : '';
+            }
+            // Update card active state
+            document.querySelectorAll('.session-card').forEach(function(c) {
+                c.classList.toggle('active', c.getAttribute('data-target') === type);
+            });
+        }
+
+        tabs.forEach(function(tab) {
+            tab.addEventListener('click', function() { activateTab(this.getAttribute('data-type')); });
+        });
+
+        // Session card clicks
+        document.querySelectorAll('.session-card').forEach(function(card) {
+            card.addEventListener('click', function() {
+                var type = this.getAttribute('data-target');
+                activateTab(type);
+                document.getElementById('booking').scrollIntoView({ behavior: 'smooth' });
+            });
+        });
+
+        if (siteSelect) siteSelect.addEventListener('change', function() { activateTab(activeType); });
+
+        // Show first tab by default
+        activateTab('${Object.keys(sessionTypes)[0]}');
+
+        // Time zone: slots carry UTC instants, so labels can be redrawn in any
+        // zone (see slotLabel)
+        var coachZone = '${TIMEZONE}';
+        var coachName = ${JSON.stringify(coach.name)};
+        var coachEmail = ${JSON.stringify(coach.email)};
+        var coachBrand = ${JSON.stringify(coach.brand)};
+        // Set when the page is one of several coaches'; the API needs to know whose
+        var coachId = ${JSON.stringify(coach.id)};
+        var coachVTimezone = ${JSON.stringify(COACH_VTIMEZONE)};
+        var tzSelect = document.getElementById('tzSelect');
+        var displayZone = coachZone;
+
+        function renderSlotTimes() {
+            document.querySelectorAll('.slot-btn').forEach(function(btn) {
+                var label = slotLabel(new Date(btn.getAttribute('data-slot')), displayZone, coachZone);
+                btn.setAttribute('data-time', label.time);
+                btn.textContent = label.time;
+                if (label.otherDay) {
+                    var other = document.createElement('span');
+                    other.className = 'other-day';
+                    other.textContent = ' (' + label.otherDay + ')';
+                    btn.appendChild(other);
+                }
+                showSeatsLeft(btn);
+            });
+        }
+
+        // "2 of 6 seats left" once someone has booked a joinable session
+        function showSeatsLeft(btn) {
+            var label = btn.querySelector('.seats');
+            if (label) btn.removeChild(label);
+            if (!btn.hasAttribute('data-joinable')) return;
+            var seats = parseInt(btn.getAttribute('data-seats'), 10);
+            var left = parseInt(btn.getAttribute('data-seats-left'), 10);
+            if (left >= seats) return;
+            label = document.createElement('span');
+            label.className = 'seats';
+            label.textContent = left + ' of ' + seats + ' seats left';
+            btn.appendChild(label);
+        }
+
+        function setDisplayZone(zone) {
+            displayZone = zone;
+            tzSelect.value = zone;
+            try { localStorage.setItem('bookingTimeZone', zone); } catch (e) {}
+            renderSlotTimes();
+        }
+
+        (function() {
+            var detected = coachZone;
+            try { detected = Intl.DateTimeFormat().resolvedOptions().timeZone || coachZone; } catch (e) {}
+            var saved = null;
+            try { saved = localStorage.getItem('bookingTimeZone'); } catch (e) {}
+            [detected, saved].forEach(function(zone) {
+                if (!zone || tzSelect.querySelector('option[value="' + zone + '"]')) return;
+                try { zoneFormat(zone, {}); } catch (e) { return; }
+                var option = document.createElement('option');
+                option.value = zone;
+                option.textContent = zone.replace(/_/g, ' ');
+                tzSelect.appendChild(option);
+            });
+            tzSelect.addEventListener('change', function() { setDisplayZone(this.value); });
+            setDisplayZone(tzSelect.querySelector('option[value="' + saved + '"]') ? saved : detected);
+        })();
+
+        // Expiry: the page is only rebuilt every few hours, so drop slots that
+        // have passed their type's lead time since then and say how old the data
+        // is, going by the last check recorded
+        var freshness = document.getElementById('freshness');
+        var staleBanner = document.getElementById('staleBanner');
+        var lastChecked = document.getElementById('lastChecked');
+        var checkedAt = null;
+        var staleAfterHours = parseFloat(freshness.getAttribute('data-stale-after-hours'));
+
+        function expireSlots() {
+            var now = Date.now();
+            var today = dateKey(coachZone, new Date(now));
+            sections.forEach(function(section) {
+                section.querySelectorAll('.date-group').forEach(function(group) {
+                    var buttons = Array.prototype.slice.call(group.querySelectorAll('.slot-btn'));
+                    var day = expireDay(group.getAttribute('data-date'), buttons.map(function(btn) {
+                        return btn.getAttribute('data-bookable-until');
+                    }), now, today);
+                    buttons.forEach(function(btn, i) {
+                        if (day.expired[i]) btn.remove();
+                    });
+                    if (day.gone) group.remove();
+                });
+                section.querySelectorAll('.week-group').forEach(function(week) {
+                    if (!week.querySelector('.date-group')) week.remove();
+                });
+                if (!section.querySelector('.slot-btn') && !section.querySelector('.no-slots')) {
+                    var empty = document.createElement('p');
+                    empty.className = 'no-slots';
+                    empty.textContent = 'No available slots for this session type right now.';
+                    section.insertBefore(empty, section.firstChild);
+                }
+            });
+
+            if (!checkedAt) return;
+            var age = checkAge(checkedAt.getTime(), now, staleAfterHours);
+            freshness.textContent = 'Availability checked ' + age.text + '.';
+            if (age.stale && !document.querySelector('.refresh-failed')) {
+                staleBanner.textContent = 'These times were last checked ' + age.text +
+                    ' and may be out of date. If a booking fails, email ' + coachName + ' at ' + coachEmail + '.';
+                staleBanner.style.display = '';
+            }
+        }
+
+        expireSlots();
+        setInterval(expireSlots, 60000);
+
+        // Every refresh records its check behind /api/status
+        fetch('/api/status' + (coachId ? '?coach=' + encodeURIComponent(coachId) : ''), { cache: 'no-store' }).then(function(res) {
+            return res.ok ? res.json() : null;
+        }).then(function(status) {
+            if (!status || !status.checkedAt) return;
+            checkedAt = new Date(status.checkedAt);
+            lastChecked.textContent = 'Availability last checked: ' + zoneFormat(displayZone, {
+                weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+            }).format(checkedAt);
+            expireSlots();
+        }).catch(function() {});
+
+        // Modal
+        var modal = document.getElementById('bookingModal');
+        var modalTitle = document.getElementById('modalTitle');
+        var modalSubtitle = document.getElementById('modalSubtitle');
+        var bookingForm = document.getElementById('bookingForm');
+        var bookingDone = document.getElementById('bookingDone');
+        var formError = document.getElementById('formError');
+        var submitBtn = document.getElementById('modalSubmit');
+        var selectedSlot = null;
+        var selectedBtn = null;
+        // The session type a waitlist request is for; null while booking a slot
+        var requestType = null;
+        // The building an in-person request is for, if any
+        var requestSite = '';
+        var bookedEvent = null;
+        var doneMessage = document.getElementById('doneMessage');
+        var calendarChoices = bookingDone.querySelector('.calendar-choices');
+
+        function showFormError(message) {
+            formError.textContent = message;
+            formError.style.display = message ? 'block' : 'none';
+        }
+
+        var EMAIL_PATTERN = /^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$/;
+
+        function showFieldError(input, message) {
+            var error = bookingForm.querySelector('[data-error-for="' + input.id + '"]');
+            error.textContent = message;
+            error.style.display = message ? 'block' : 'none';
+            input.classList.toggle('invalid', !!message);
+        }
+
+        function intakeFor(type) {
+            return bookingForm.querySelector('.intake[data-type="' + type + '"]');
+        }
+
+        // Check the name, email and the picked type's questions, marking each
+        // problem under its field. Returns null when something needs fixing,
+        // otherwise the answers by question id plus lines for the invite.
+        function readIntake(type) {
+            var firstInvalid = null;
+            function check(input, message) {
+                showFieldError(input, message);
+                if (message && !firstInvalid) firstInvalid = input;
+            }
+            var nameInput = document.getElementById('fieldName');
+            var emailInput = document.getElementById('fieldEmail');
+            check(nameInput, nameInput.value.trim() ? '' : 'Please enter your name.');
+            check(emailInput, EMAIL_PATTERN.test(emailInput.value.trim()) ? '' : 'Please enter a valid email address.');
+
+            var intake = { answers: {}, lines: [], guests: [] };
+            intakeFor(type).querySelectorAll('[data-question]').forEach(function(input) {
+                var label = input.getAttribute('data-label');
+                var required = input.hasAttribute('data-required');
+                var value = input.value.trim();
+                var message = '';
+                if (input.getAttribute('data-kind') === 'emails') {
+                    var emails = value.split(/[\\s,;]+/).filter(Boolean);
+                    var bad = emails.filter(function(email) { return !EMAIL_PATTERN.test(email); });
+                    if (bad.length) message = '"' + bad[0] + '" is not an email address.';
+                    else if (required && !emails.length) message = 'Please list at least one email address.';
+                    intake.answers[input.getAttribute('data-question')] = emails;
+                    intake.guests = intake.guests.concat(emails);
+                    value = emails.join(', ');
+                } else {
+                    if (required && !value) message = input.tagName === 'SELECT' ? 'Please choose one.' : 'Please answer "' + label + '".';
+                    intake.answers[input.getAttribute('data-question')] = value;
+                }
+                if (value) intake.lines.push(label + ': ' + value);
+                check(input, message);
+            });
+            if (requestType) {
+                check(fromInput, fromInput.value ? '' : 'Please pick the first date that would work.');
+                check(toInput, !toInput.value ? 'Please pick the last date that would work.'
+                    : toInput.value < fromInput.value ? 'The last date must not be before the first.' : '');
+            }
+            if (firstInvalid) {
+                firstInvalid.focus();
+                return null;
+            }
+            if (requestType) return intake;
+            // Everyone on the invite takes a seat
+            var room = selectedBtn.hasAttribute('data-seats-left') ? parseInt(selectedBtn.getAttribute('data-seats-left'), 10) : 1;
+            if (1 + intake.guests.length > room) {
+                showFormError('There is room for ' + room + ' people in this session, including you.');
+                return null;
+            }
+            return intake;
+        }
+
+        // Weekly series: the picked time every week for a few weeks. A week
+        // where that time isn't open offers the nearest open times that week
+        // instead, or is skipped.
+        var seriesRow = document.getElementById('seriesRow');
+        var repeatBox = document.getElementById('fieldRepeat');
+        var repeatWeeks = document.getElementById('fieldRepeatWeeks');
+        var seriesPlan = document.getElementById('seriesPlan');
+        var series = null;
+
+        // A slot button as planSeries takes it
+        function seriesSlot(btn) {
+            return {
+                start: btn.getAttribute('data-slot'),
+                end: btn.getAttribute('data-slot-end'),
+                date: btn.closest('.date-group').getAttribute('data-date'),
+                week: btn.closest('.week-group').getAttribute('data-week'),
+                btn: btn
+            };
+        }
+
+        function openSlots(section) {
+            return Array.prototype.filter.call(section.querySelectorAll('.slot-btn'), function(btn) {
+                return !btn.classList.contains('taken');
+            }).map(seriesSlot);
+        }
+
+        function renderSeriesPlan() {
+            var dayFormat = zoneFormat('UTC', { weekday: 'short', month: 'short', day: 'numeric' });
+            seriesPlan.innerHTML = '';
+            series.forEach(function(entry) {
+                var item = document.createElement('li');
+                if (!entry.conflict) {
+                    item.textContent = describeSlot(entry.slot.start, displayZone);
+                } else {
+                    item.className = 'conflict';
+                    var day = dayFormat.format(new Date(entry.date + 'T12:00:00Z'));
+                    if (!entry.alternatives.length) {
+                        item.textContent = day + ': nothing is open that week, so it will be skipped.';
+                    } else {
+                        item.textContent = day + ': the usual time isn\\'t open. Book instead:';
+                        var choice = document.createElement('select');
+                        entry.alternatives.forEach(function(slot, i) {
+                            var option = document.createElement('option');
+                            option.value = String(i);
+                            option.textContent = describeSlot(slot.start, displayZone);
+                            choice.appendChild(option);
+                        });
+                        var skip = document.createElement('option');
+                        skip.value = '';
+                        skip.textContent = 'Skip this week';
+                        choice.appendChild(skip);
+                        choice.addEventListener('change', function() {
+                            entry.slot = this.value === '' ? null : entry.alternatives[parseInt(this.value, 10)];
+                        });
+                        item.appendChild(choice);
+                    }
+                }
+                seriesPlan.appendChild(item);
+            });
+        }
+
+        function updateSeries() {
+            series = repeatBox.checked ? planSeries(seriesSlot(selectedBtn), parseInt(repeatWeeks.value, 10),
+                openSlots(selectedBtn.closest('.slot-section')), coachZone) : null;
+            seriesPlan.style.display = series ? '' : 'none';
+            if (series) renderSeriesPlan();
+        }
+
+        // Offered up to the end of the booking window; group sessions others
+        // can join are booked one at a time
+        function setUpSeries() {
+            var weeks = selectedBtn.closest('.slot-section').querySelectorAll('.week-group');
+            var first = selectedBtn.closest('.week-group').getAttribute('data-week');
+            var last = weeks[weeks.length - 1].getAttribute('data-week');
+            var maxWeeks = Math.min(${MAX_SERIES}, Math.round((Date.parse(last) - Date.parse(first)) / (7 * 86400000)) + 1);
+            repeatWeeks.innerHTML = '';
+            for (var n = 2; n <= maxWeeks; n++) {
+                var option = document.createElement('option');
+                option.value = option.textContent = String(n);
+                repeatWeeks.appendChild(option);
+            }
+            repeatWeeks.value = String(maxWeeks);
+            repeatBox.checked = false;
+            seriesRow.style.display = maxWeeks >= 2 && !selectedBtn.hasAttribute('data-joinable') ? '' : 'none';
+            updateSeries();
+        }
+
+        repeatBox.addEventListener('change', updateSeries);
+        repeatWeeks.addEventListener('change', function() {
+            repeatBox.checked = true;
+            updateSeries();
+        });
+
+        // The slot buttons a series books, first one first
+        function seriesButtons() {
+            return series.filter(function(entry) { return entry.slot; }).map(function(entry) { return entry.slot.btn; });
+        }
+
+        var locationInput = document.getElementById('fieldLocation');
+
+        // Open the modal on an empty form for one session type
+        function openForm(type, title, subtitle) {
+            modalTitle.textContent = title;
+            modalSubtitle.textContent = subtitle;
+            modal.classList.add('open');
+            bookingForm.style.display = '';
+            bookingDone.style.display = 'none';
+            submitBtn.disabled = false;
+            showFormError('');
+            locationInput.value = '';
+            locationInput.readOnly = false;
+            document.getElementById('fieldNotes').value = '';
+            bookingForm.querySelectorAll('.intake').forEach(function(block) {
+                block.style.display = block.getAttribute('data-type') === type ? '' : 'none';
+            });
+            intakeFor(type).querySelectorAll('[data-question]').forEach(function(input) {
+                input.value = '';
+            });
+            bookingForm.querySelectorAll('[data-error-for]').forEach(function(error) {
+                showFieldError(document.getElementById(error.getAttribute('data-error-for')), '');
+            });
+            requestFields.style.display = requestType ? '' : 'none';
+            submitBtn.textContent = requestType ? 'Send Request' : 'Book This Time';
+        }
+
+        // An in-person session's building is its location
+        function holdAtSite(site) {
+            if (!site) return;
+            locationInput.value = siteSelect.querySelector('option[value="' + site + '"]').textContent;
+            locationInput.readOnly = true;
+        }
+
+        document.querySelectorAll('.slot-btn').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                selectedBtn = this;
+                selectedSlot = {
+                    start: this.getAttribute('data-start'),
+                    end: this.getAttribute('data-end'),
+                    slot: this.getAttribute('data-slot'),
+                    slotEnd: this.getAttribute('data-slot-end'),
+                    type: this.getAttribute('data-type'),
+                    name: this.getAttribute('data-name'),
+                    dateLong: this.getAttribute('data-date-long'),
+                    time: this.getAttribute('data-time'),
+                    site: this.closest('.slot-section').getAttribute('data-site') || ''
+                };
+                requestType = null;
+                openForm(selectedSlot.type, 'Book: ' + selectedSlot.name, describeSlot(selectedSlot.slot, displayZone));
+                holdAtSite(selectedSlot.site);
+                setUpSeries();
+            });
+        });
+
+        // Waitlist requests: the dates and times of day that would work, for
+        // when nothing on offer fits. The coach offers a time once one opens.
+        var requestFields = document.getElementById('requestFields');
+        var fromInput = document.getElementById('fieldFrom');
+        var toInput = document.getElementById('fieldTo');
+
+        document.querySelectorAll('.request-btn').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                requestType = this.getAttribute('data-type');
+                requestSite = this.closest('.slot-section').getAttribute('data-site') || '';
+                openForm(requestType, 'Request a time: ' + this.getAttribute('data-name'),
+                    'Tell ' + coachName + " when would work and you'll hear back when a time opens up.");
+                holdAtSite(requestSite);
+                fromInput.min = toInput.min = dateKey(coachZone, new Date());
+                fromInput.value = toInput.value = '';
+                requestFields.querySelectorAll('[data-time-of-day]').forEach(function(box) { box.checked = false; });
+                seriesRow.style.display = 'none';
+                series = null;
+            });
+        });
+
+        document.getElementById('modalCancel').addEventListener('click', function() {
+            modal.classList.remove('open');
+        });
+
+        document.getElementById('doneClose').addEventListener('click', function() {
+            modal.classList.remove('open');
+        });
+
+        modal.addEventListener('click', function(e) {
+            if (e.target === modal) modal.classList.remove('open');
+        });
+
+        // A booking takes overlapping slots of every type (basic UTC strings compare in order)
+        function markTaken(start, end) {
+            document.querySelectorAll('.slot-btn').forEach(function(btn) {
+                if (btn.getAttribute('data-start') < end && btn.getAttribute('data-end') > start) {
+                    btn.classList.add('taken');
+                }
+            });
+        }
+
+        function buildCalendarEvent(slot, details, intake, id) {
+            return calendarEvent(slot, details, intake, {
+                id: id,
+                recurrence: series ? seriesRecurrence(series, coachZone, displayZone) : null,
+                coach: { name: coachName, email: coachEmail, brand: coachBrand }
+            });
+        }
+
+        function downloadIcs(event) {
+            var blob = new Blob([buildIcsInvite(event, coachVTimezone, new Date())], { type: 'text/calendar;charset=utf-8' });
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'playbook-support-session.ics';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(function() { URL.revokeObjectURL(link.href); }, 1000);
+        }
+
+        document.querySelectorAll('[data-calendar]').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                var choice = this.getAttribute('data-calendar');
+                if (choice === 'google') window.open(googleCalendarUrl(bookedEvent, displayZone), '_blank');
+                if (choice === 'office365') window.open(outlookUrl(bookedEvent, 'outlook.office.com'), '_blank');
+                if (choice === 'outlook') window.open(outlookUrl(bookedEvent, 'outlook.live.com'), '_blank');
+                if (choice === 'ics') downloadIcs(bookedEvent);
+            });
+        });
+
+        function showDone(message, pending) {
+            doneMessage.textContent = message;
+            doneMessage.classList.toggle('pending', pending);
+            bookingForm.style.display = 'none';
+            bookingDone.style.display = '';
+        }
+
+        function showCalendarChoices(event, message, pending) {
+            bookedEvent = event;
+            calendarChoices.style.display = '';
+            // The web calendars' links can't carry a series; the .ics file can
+            document.querySelectorAll('[data-calendar]').forEach(function(btn) {
+                btn.style.display = event.recurrence && btn.getAttribute('data-calendar') !== 'ics' ? 'none' : '';
+            });
+            showDone(message, pending);
+        }
+
+        // Resolves with the API's status and reply. A failing API is handled like
+        // a missing one: both reject, so the caller offers another way.
+        function postJson(url, details) {
+            return fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(details)
+            }).then(function(res) {
+                if (res.status >= 500) throw new Error('HTTP ' + res.status);
+                return res.json().then(function(data) { return { status: res.status, data: data }; });
+            });
+        }
+
+        // A request has nothing to add to a calendar yet
+        function sendRequest(intake) {
+            var details = {
+                type: requestType,
+                name: document.getElementById('fieldName').value.trim(),
+                email: document.getElementById('fieldEmail').value.trim(),
+                location: locationInput.value.trim(),
+                notes: document.getElementById('fieldNotes').value.trim(),
+                answers: intake.answers,
+                site: requestSite || undefined,
+                coach: coachId || undefined,
+                dateFrom: fromInput.value,
+                dateTo: toInput.value,
+                timesOfDay: Array.prototype.filter.call(requestFields.querySelectorAll('[data-time-of-day]'), function(box) {
+                    return box.checked;
+                }).map(function(box) { return box.getAttribute('data-time-of-day'); })
+            };
+            submitBtn.disabled = true;
+            showFormError('');
+
+            postJson('/api/request', details).then(function(result) {
+                submitBtn.disabled = false;
+                if (result.status === 201) {
+                    calendarChoices.style.display = 'none';
+                    showDone("Request sent! You're on " + coachName + "'s waitlist and will get an email when a time that fits opens up.", false);
+                } else {
+                    showFormError((result.data.details || ['Something went wrong. Please try again.']).join(' '));
+                }
+            }).catch(function() {
+                submitBtn.disabled = false;
+                showFormError("Requests can't be sent right now. Please email " + coachName + ' at ' + coachEmail + ' with the dates and times that would work.');
+            });
+        }
+
+        bookingForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            var intake = readIntake(requestType || selectedSlot.type);
+            if (!intake) return;
+            if (requestType) return sendRequest(intake);
+            var details = {
+                type: selectedSlot.type,
+                start: selectedSlot.slot,
+                name: document.getElementById('fieldName').value.trim(),
+                email: document.getElementById('fieldEmail').value.trim(),
+                location: locationInput.value.trim(),
+                notes: document.getElementById('fieldNotes').value.trim(),
+                answers: intake.answers,
+                site: selectedSlot.site || undefined,
+                coach: coachId || undefined,
+                series: series ? seriesButtons().slice(1).map(function(btn) { return btn.getAttribute('data-slot'); }) : undefined
+            };
+            submitBtn.disabled = true;
+            showFormError('');
+
+            postJson('/api/book', details).then(function(result) {
+                submitBtn.disabled = false;
+                if (result.status === 201) {
+                    (series ? seriesButtons() : [selectedBtn]).forEach(function(btn) {
+                        markTaken(btn.getAttribute('data-start'), btn.getAttribute('data-end'));
+                    });
+                    if (selectedBtn.hasAttribute('data-joinable')) {
+                        // Others can still join while seats are left
+                        var left = parseInt(selectedBtn.getAttribute('data-seats-left'), 10) - 1 - intake.guests.length;
+                        selectedBtn.setAttribute('data-seats-left', left);
+                        if (left > 0) selectedBtn.classList.remove('taken');
+                        showSeatsLeft(selectedBtn);
+                    }
+                    showCalendarChoices(buildCalendarEvent(selectedSlot, details, intake, result.data.booking.id), series
+                        ? "You're booked for " + seriesButtons().length + ' sessions! Download the invite to add them all to your calendar.'
+                        : "You're booked! Add the session to your calendar so you get the invite.", false);
+                } else if (result.data.error === 'seats_full') {
+                    // Fewer guests may still fit
+                    showFormError(result.data.message);
+                } else if (result.status === 409 && series && result.data.start !== selectedSlot.slot) {
+                    // A later week of the series went: plan around it
+                    seriesButtons().forEach(function(btn) {
+                        if (btn.getAttribute('data-slot') === result.data.start) btn.classList.add('taken');
+                    });
+                    updateSeries();
+                    showFormError(describeSlot(result.data.start, displayZone) + ' is no longer available. Check the weeks above and book again.');
+                } else if (result.status === 409) {
+                    selectedBtn.classList.add('taken');
+                    submitBtn.disabled = true;
+                    showFormError(result.data.error === 'capacity_reached'
+                        ? result.data.message
+                        : 'Sorry, that slot was just taken. Please pick another time.');
+                } else {
+                    showFormError((result.data.details || ['Something went wrong. Please try again.']).join(' '));
+                }
+            }).catch(function() {
+                // No working booking API (e.g. a static preview, or a server
+                // error): send the invite from a calendar app instead
+                submitBtn.disabled = false;
+                showCalendarChoices(buildCalendarEvent(selectedSlot, details, intake),
+                    'Online booking is unavailable right now. Add the session to your calendar and send the invite to ' + coachName + ' (' + coachEmail + ') to book it.', true);
+            });
+        });
+
+        // FAQ Accordion
+        document.querySelectorAll('.faq-question').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                var item = this.parentElement;
+                var isOpen = item.classList.contains('open');
+                document.querySelectorAll('.faq-item').forEach(function(el) { el.classList.remove('open'); });
+                if (!isOpen) item.classList.add('open');
+            });
+        });
+    </script>
+
+</body>
+</html>`;
+}
+
+// The site root when coaches.json lists several coaches: a card per coach
+// linking to their page at /<id>/. `coaches` are loadCoaches' entries.
+function buildDirectoryHTML(title, coaches) {
+  const cards = coaches.map(({ id, config }) => {
+    const { coach, sessionTypes } = config;
+    const types = Object.values(sessionTypes).map(type => `${type.name} (${type.durationLabel})`);
+    return `
+                <a class="coach-card" href="${escapeHtml(id)}/">
+                    <span class="badge">${escapeHtml(coach.badge)}</span>
+                    <h3>${escapeHtml(coach.name)}</h3>
+                    <p class="brand">${escapeHtml(coach.brand)}</p>
+                    <p>${escapeHtml(types.join(' · '))}</p>
+                    <span class="btn">Book with ${escapeHtml(coach.name)}</span>
+                </a>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+    <link href="https://fonts.googleapis.com/css2?family=Oswald:wght@400;500;600;700&family=Open+Sans:wght@400;500;600;700&display=swap" rel="stylesheet">
+    <style>
+        *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+        body { font-family: 'Open Sans', sans-serif; color: #1F2937; line-height: 1.6; }
+        h1, h3 { font-family: 'Oswald', sans-serif; line-height: 1.2; }
+        .hero { background: linear-gradient(135deg, #7B68EE 0%, #5B4ACF 100%); color: #FFFFFF; text-align: center; padding: 4rem 1.5rem; }
+        .hero h1 { font-size: 2.4rem; text-transform: uppercase; letter-spacing: 2px; margin-bottom: 1rem; }
+        .container { max-width: 1100px; margin: 0 auto; padding: 3rem 1.5rem; }
+        .coach-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 1.5rem; }
+        .coach-card {
+            display: flex; flex-direction: column; gap: 0.6rem; padding: 2rem 1.5rem; text-align: center;
+            border: 2px solid #E5E7EB; border-radius: 12px; color: inherit; text-decoration: none;
+            transition: transform 0.2s ease, border-color 0.2s ease;
+        }
+        .coach-card:hover { transform: translateY(-4px); border-color: #7B68EE; }
+        .coach-card .badge {
+            align-self: center; background: #FFD700; font-family: 'Oswald', sans-serif; font-size: 0.8rem; font-weight: 600;
+            text-transform: uppercase; letter-spacing: 1px; padding: 0.3rem 0.9rem; border-radius: 50px;
+        }
+        .coach-card .brand { color: #5B4ACF; font-weight: 600; }
+        .coach-card p { color: #6B7280; font-size: 0.95rem; }
+        .coach-card .btn {
+            margin-top: auto; background: #7B68EE; color: #FFFFFF; font-family: 'Oswald', sans-serif; font-weight: 600;
+            text-transform: uppercase; letter-spacing: 1px; padding: 0.7rem 1.5rem; border-radius: 8px;
+        }
+    </style>
+</head>
+<body>
+    <header class="hero">
+        <h1>${escapeHtml(title)}</h1>
+        <p>Choose a coach to see their session types and open times.</p>
+    </header>
+    <main class="container">
+        <div class="coach-grid">${cards}
+        </div>
+    </main>
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, buildHTML, buildDirectoryHTML, markRefreshFailed, isMarkedRefreshFailed };
@@ -0,0 +1,236 @@
+// Utilization report for the coach: per week and session type, how much of
+// the type's hours the calendar took, what was offered and booked, and the
+// days nothing could be offered, plus a time-of-day heatmap. Each run writes
+// it to an unlisted admin.html; `npm run report` prints it.
+
+const { toEasternParts, easternDate, formatTime12 } = require('./time');
+const { buildBusyTimeline, freeWindows, describeDay, atMinutes, bookingDays, dayRanges } = require('./slots');
+const { leadTimeCutoff } = require('./lead-time');
+const { DAY_NAMES } = require('./config');
+const { escapeHtml } = require('./render');
+
+// Minutes per heatmap row
+const HEATMAP_STEP = 30;
+
+function rangeMinutes(ranges) {
+  return ranges.reduce((sum, range) => sum + (range.end - range.start) / 60000, 0);
+}
+
+// Minutes of the ranges the busy timeline covers
+function busyMinutes(timeline, ranges) {
+  return ranges.reduce((sum, range) => sum + rangeMinutes([range]) - rangeMinutes(freeWindows(timeline, range.start, range.end)), 0);
+}
+
+// The coach's business hours on a working day, or none
+function workRanges(day, businessHours) {
+  if (!businessHours.days.includes(day.parts.dayOfWeek) || (day.rule && day.rule.closed)) return [];
+  const { start, end } = businessHours.window;
+  return [{ start: atMinutes(day.parts, start.hour * 60 + start.minute), end: atMinutes(day.parts, end.hour * 60 + end.minute) }];
+}
+
+// Busy share of each half hour (averaged over the days it's a working day or
+// in some type's window) and the open slot starts in it, by weekday. Rows
+// span the business hours and every type's window.
+function buildHeatmap(days, timeline, sessionTypes, allSlots, businessHours) {
+  const configs = Object.values(sessionTypes);
+  const { start, end } = businessHours.window;
+  const from = Math.min(start.hour * 60 + start.minute, ...configs.map(c => c.startHour * 60 + c.startMin));
+  const to = Math.max(end.hour * 60 + end.minute, ...configs.map(c => c.endHour * 60 + c.endMin));
+  const rows = [];
+  for (let minutes = Math.floor(from / HEATMAP_STEP) * HEATMAP_STEP; minutes < to; minutes += HEATMAP_STEP) rows.push(minutes);
+  // Monday first
+  const weekdays = [...new Set([...businessHours.days, ...configs.flatMap(c => c.days)])]
+    .sort((a, b) => (a + 6) % 7 - (b + 6) % 7);
+
+  const cells = rows.map(() => weekdays.map(() => ({ busy: 0, minutes: 0, offered: 0 })));
+  for (const day of days) {
+    const column = weekdays.indexOf(day.parts.dayOfWeek);
+    if (column === -1 || (day.rule && day.rule.closed)) continue;
+    rows.forEach((minutes, row) => {
+      const range = { start: atMinutes(day.parts, minutes), end: atMinutes(day.parts, minutes + HEATMAP_STEP) };
+      cells[row][column].busy += busyMinutes(timeline, [range]);
+      cells[row][column].minutes += HEATMAP_STEP;
+    });
+  }
+  for (const slots of Object.values(allSlots)) {
+    for (const slot of slots) {
+      const parts = toEasternParts(slot.start);
+      const column = weekdays.indexOf(parts.dayOfWeek);
+      const row = rows.findIndex(minutes => parts.hour * 60 + parts.minute < minutes + HEATMAP_STEP);
+      if (column !== -1 && row !== -1 && parts.hour * 60 + parts.minute >= rows[0]) cells[row][column].offered++;
+    }
+  }
+
+  return {
+    weekdays: weekdays.map(day => DAY_NAMES[day]),
+    rows: rows.map((minutes, row) => ({
+      label: formatTime12(easternDate(2026, 1, 5, Math.floor(minutes / 60), minutes % 60)),
+      cells: cells[row].map(cell => ({ busyShare: cell.minutes ? cell.busy / cell.minutes : null, offered: cell.offered }))
+    }))
+  };
+}
+
+// The report's figures. `allSlots` are the slots on offer (virtual ones when
+// sites are set up), `busyTimes` the calendar's and bookings' busy time and
+// `bookings` the records on file; the rest are as for generateSlots.
+function buildReport({ sessionTypes, allSlots, busyTimes, bookings = [], bookingWindow, now, dayRules = new Map(), businessHours, calendarWindows = new Map() }) {
+  const timeline = buildBusyTimeline(busyTimes);
+  const days = bookingDays(bookingWindow, dayRules);
+
+  const weeks = new Map();
+  const weekFor = ({ weekKey, weekLabel }) => {
+    if (!weeks.has(weekKey)) {
+      const types = {};
+      for (const typeKey of Object.keys(sessionTypes)) {
+        types[typeKey] = { openMinutes: 0, busyMinutes: 0, offered: 0, offeredMinutes: 0, booked: 0, fullDays: [] };
+      }
+      weeks.set(weekKey, { weekKey, weekLabel, workMinutes: 0, busyMinutes: 0, types });
+    }
+    return weeks.get(weekKey);
+  };
+
+  for (const day of days) {
+    const labels = describeDay(day.midnight);
+    const week = weekFor(labels);
+    const work = workRanges(day, businessHours);
+    week.workMinutes += rangeMinutes(work);
+    week.busyMinutes += busyMinutes(timeline, work);
+
+    for (const [typeKey, config] of Object.entries(sessionTypes)) {
+      const ranges = dayRanges(config, day, calendarWindows.get(typeKey));
+      if (!ranges.length) continue;
+      const row = week.types[typeKey];
+      row.openMinutes += rangeMinutes(ranges);
+      row.busyMinutes += busyMinutes(timeline, ranges);
+      // A day still bookable after the lead time that ended up without a
+      // single slot: the calendar (or the capacity limits) filled it
+      const cutoff = leadTimeCutoff(config.leadTime, now, businessHours, dayRules).getTime();
+      const offered = (allSlots[typeKey] || []).some(slot => slot.dateKey === labels.dateKey);
+      if (!offered && ranges.some(range => range.end - config.duration * 60000 >= cutoff)) row.fullDays.push(labels.dateLong);
+    }
+  }
+
+  for (const [typeKey, slots] of Object.entries(allSlots)) {
+    for (const slot of slots) {
+      const row = weekFor(slot).types[typeKey];
+      row.offered++;
+      row.offeredMinutes += (slot.end - slot.start) / 60000;
+    }
+  }
+
+  // Sessions booked in the booking window; everyone in one group session
+  // counts once
+  const sessions = new Set();
+  for (const booking of bookings) {
+    const start = new Date(booking.start);
+    const key = `${booking.type} ${start.getTime()}`;
+    if (booking.status === 'cancelled' || !sessionTypes[booking.type] || sessions.has(key)) continue;
+    if (start < bookingWindow.start || start >= bookingWindow.end) continue;
+    sessions.add(key);
+    const parts = toEasternParts(start);
+    weekFor(describeDay(easternDate(parts.year, parts.month, parts.day, 0, 0).getTime())).types[booking.type].booked++;
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    weeks: [...weeks.values()].sort((a, b) => a.weekKey.localeCompare(b.weekKey)),
+    heatmap: buildHeatmap(days, timeline, sessionTypes, allSlots, businessHours)
+  };
+}
+
+function formatHours(minutes) {
+  return `${parseFloat((minutes / 60).toFixed(1))}h`;
+}
+
+function percent(part, whole) {
+  return whole ? `${Math.round(part / whole * 100)}%` : '–';
+}
+
+// The report as console lines
+function formatReport(report, sessionTypes) {
+  const lines = [];
+  for (const week of report.weeks) {
+    lines.push(`${week.weekLabel}: busy ${formatHours(week.busyMinutes)} of ${formatHours(week.workMinutes)} working hours (${percent(week.busyMinutes, week.workMinutes)})`);
+    for (const [typeKey, row] of Object.entries(week.types)) {
+      if (!row.openMinutes && !row.offered && !row.booked) continue;
+      let line = `  ${sessionTypes[typeKey].name}: busy ${formatHours(row.busyMinutes)} of ${formatHours(row.openMinutes)}, ` +
+        `offered ${row.offered} slot${row.offered === 1 ? '' : 's'} (${formatHours(row.offeredMinutes)}), booked ${row.booked}`;
+      if (row.fullDays.length) line += `; full on ${row.fullDays.join(', ')}`;
+      lines.push(line);
+    }
+  }
+
+  const { weekdays, rows } = report.heatmap;
+  lines.push('', 'Busy share and open slot starts by time of day:');
+  lines.push(['', ...weekdays].map(cell => cell.padStart(9)).join(''));
+  for (const row of rows) {
+    const cells = row.cells.map(cell => (cell.busyShare === null ? '' : `${percent(cell.busyShare, 1)} ${cell.offered}`).padStart(9));
+    lines.push([row.label.padStart(9), ...cells].join(''));
+  }
+  return lines;
+}
+
+// Heatmap cell shading: white when free, dark purple when always busy
+function cellStyle(share) {
+  return share === null ? 'background:#F3F4F6' : `background:rgba(91,74,207,${(share * 0.85).toFixed(2)});color:${share > 0.5 ? '#FFFFFF' : '#1F2937'}`;
+}
+
+// The unlisted admin page. It isn't linked from the booking page and asks
+// search engines not to index it.
+function buildAdminHTML(report, sessionTypes) {
+  const weekRows = report.weeks.map(week => {
+    const typeRows = Object.entries(week.types)
+      .filter(([, row]) => row.openMinutes || row.offered || row.booked)
+      .map(([typeKey, row]) => `
+            <tr>
+                <td>${escapeHtml(sessionTypes[typeKey].name)}</td>
+                <td>${formatHours(row.busyMinutes)} of ${formatHours(row.openMinutes)} (${percent(row.busyMinutes, row.openMinutes)})</td>
+                <td>${row.offered} (${formatHours(row.offeredMinutes)})</td>
+                <td>${row.booked}</td>
+                <td>${row.fullDays.map(escapeHtml).join('<br>') || '–'}</td>
+            </tr>`).join('');
+    return `
+        <h2>${escapeHtml(week.weekLabel)}</h2>
+        <p>Busy ${formatHours(week.busyMinutes)} of ${formatHours(week.workMinutes)} working hours (${percent(week.busyMinutes, week.workMinutes)}).</p>
+        <table>
+            <tr><th>Session type</th><th>Busy hours in its window</th><th>Offered slots</th><th>Booked</th><th>Full days</th></tr>${typeRows}
+        </table>`;
+  }).join('');
+
+  const { weekdays, rows } = report.heatmap;
+  const heatmapRows = rows.map(row => `
+            <tr><th>${escapeHtml(row.label)}</th>${row.cells.map(cell =>
+    `<td style="${cellStyle(cell.busyShare)}">${cell.busyShare === null ? '' : `${percent(cell.busyShare, 1)}<span class="offered">${cell.offered} open</span>`}</td>`).join('')}</tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Booking utilization report</title>
+    <style>
+        body { font-family: 'Open Sans', sans-serif; color: #1F2937; line-height: 1.5; max-width: 1100px; margin: 2rem auto; padding: 0 1.5rem; }
+        h1, h2 { font-family: 'Oswald', sans-serif; color: #5B4ACF; }
+        h2 { margin-top: 2rem; }
+        table { border-collapse: collapse; margin-top: 0.75rem; }
+        th, td { border: 1px solid #E5E7EB; padding: 0.4rem 0.75rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+        .heatmap td { text-align: center; min-width: 5rem; }
+        .offered { display: block; font-size: 0.75rem; }
+        .note { color: #6B7280; }
+    </style>
+</head>
+<body>
+    <h1>Booking utilization</h1>
+    <p class="note">Generated ${escapeHtml(report.generatedAt)}. Busy hours count the calendar and bookings inside each session type's window; full days are days still open to booking that had no slots left.</p>${weekRows}
+    <h2>Time of day</h2>
+    <p class="note">How busy each half hour is on average across the booking window, and how many open slots of any type start in it.</p>
+    <table class="heatmap">
+        <tr><th></th>${weekdays.map(day => `<th>${day}</th>`).join('')}</tr>${heatmapRows}
+    </table>
+</body>
+</html>
+`;
+}
+
+module.exports = { buildReport, formatReport, buildAdminHTML };
@@ -0,0 +1,178 @@
+// Time requests: a waitlist for people who found no slot that fits. The
+// request API appends them to a store like the bookings' (see lib/store.js),
+// and each generation run matches open requests against the slots on offer.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { checkAnswers, findSite, validateContact } = require('./bookings');
+const { toEasternParts, easternDateKey, formatDateLong, formatTime12 } = require('./time');
+const { openStore } = require('./store');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_REQUESTS_PATH = path.join(ROOT, 'data', 'requests.jsonl');
+const DEFAULT_AVAILABILITY_PATH = path.join(ROOT, 'availability.json');
+
+// Parts of the coach's day a request can ask for, as [from, to) minutes
+const TIMES_OF_DAY = {
+  morning: [0, 11 * 60],
+  midday: [11 * 60, 13 * 60],
+  afternoon: [13 * 60, 24 * 60]
+};
+
+// Longest date range one request can cover
+const MAX_REQUEST_DAYS = 90;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// One coach's waitlist: in KV when it is configured, otherwise the file
+function openRequests({ requestsPath = DEFAULT_REQUESTS_PATH, coachId = null, env } = {}) {
+  return openStore('requests', { filePath: requestsPath, coachId, env });
+}
+
+// Change one request's status in the store; returns the request, or null if
+// no request has that id. A prefix of an id works as long as only one
+// request starts with it.
+function setRequestStatus(id, status, store = openRequests()) {
+  return store.exclusive(async () => {
+    if (!id) return null;
+    const requests = await store.read();
+    let index = requests.findIndex(r => r.id === id);
+    if (index === -1) {
+      const matching = requests.flatMap((r, i) => r.id.startsWith(id) ? [i] : []);
+      if (matching.length > 1) throw new Error(`"${id}" matches ${matching.length} requests; give more of the id`);
+      if (!matching.length) return null;
+      index = matching[0];
+    }
+    const request = { ...requests[index], status };
+    await store.replace(index, request);
+    return request;
+  });
+}
+
+// Check a time request's fields; returns error strings. Name, email, notes and
+// answers follow the booking form's rules.
+function validateTimeRequest(body, now) {
+  if (!body || typeof body !== 'object') return ['Request body must be a JSON object'];
+  const errors = [];
+  if (typeof body.type !== 'string' || !body.type) errors.push('type is required');
+  errors.push(...validateContact(body));
+  const valid = (date) => typeof date === 'string' && DATE_PATTERN.test(date) && new Date(date + 'T12:00:00Z').toISOString().startsWith(date);
+  if (!valid(body.dateFrom)) errors.push('dateFrom must be a date like "2026-12-21"');
+  if (!valid(body.dateTo)) errors.push('dateTo must be a date like "2026-12-21"');
+  if (valid(body.dateFrom) && valid(body.dateTo)) {
+    const days = (Date.parse(body.dateTo) - Date.parse(body.dateFrom)) / 86400000;
+    if (days < 0) errors.push('dateTo must not be before dateFrom');
+    else if (days >= MAX_REQUEST_DAYS) errors.push(`the date range must be under ${MAX_REQUEST_DAYS} days`);
+    else if (body.dateTo < easternDateKey(now)) errors.push('the date range has already passed');
+  }
+  if (body.timesOfDay !== undefined &&
+      (!Array.isArray(body.timesOfDay) || body.timesOfDay.some(time => !TIMES_OF_DAY[time]))) {
+    errors.push(`timesOfDay must be a list of ${Object.keys(TIMES_OF_DAY).join(', ')}`);
+  }
+  return errors;
+}
+
+// Decide on a time request against the latest availability. Returns
+// { status, body } for the HTTP response.
+function decideTimeRequest(body, { availability, now }) {
+  const errors = validateTimeRequest(body, now);
+  if (errors.length) return { status: 400, body: { error: 'invalid_request', details: errors } };
+
+  const type = availability.sessionTypes[body.type];
+  if (!type) return { status: 400, body: { error: 'invalid_request', details: [`Unknown session type "${body.type}"`] } };
+
+  const intake = checkAnswers(type.questions || [], body.answers);
+  if (intake.errors.length) return { status: 400, body: { error: 'invalid_request', details: intake.errors } };
+
+  // A request for an in-person session names the building, like a booking
+  const site = findSite(availability, type, body.site);
+  if (site === undefined) {
+    return { status: 400, body: { error: 'invalid_request', details: [`${type.name} sessions can't be held at "${body.site}"`] } };
+  }
+
+  const request = {
+    id: crypto.randomUUID(),
+    status: 'open',
+    type: body.type,
+    typeName: type.name,
+    dateFrom: body.dateFrom,
+    dateTo: body.dateTo,
+    timesOfDay: body.timesOfDay && body.timesOfDay.length ? body.timesOfDay : Object.keys(TIMES_OF_DAY),
+    name: body.name.trim(),
+    email: body.email.trim().toLowerCase(),
+    location: site ? site.name : (body.location || '').trim(),
+    notes: (body.notes || '').trim(),
+    answers: intake.answers,
+    ...(site ? { site: site.id } : {}),
+    createdAt: now.toISOString()
+  };
+  return { status: 201, body: { request } };
+}
+
+async function createTimeRequest(body, {
+  availabilityPath = DEFAULT_AVAILABILITY_PATH,
+  store = openRequests(),
+  now = () => new Date()
+} = {}) {
+  const availability = JSON.parse(fs.readFileSync(availabilityPath, 'utf8'));
+  const result = decideTimeRequest(body, { availability, now: now() });
+  if (result.status === 201) await store.append([result.body.request]);
+  return result;
+}
+
+// Whether a slot start falls in one of a request's times of day
+function inTimesOfDay(start, timesOfDay) {
+  const parts = toEasternParts(start);
+  const minutes = parts.hour * 60 + parts.minute;
+  return timesOfDay.some(time => TIMES_OF_DAY[time][0] <= minutes && minutes < TIMES_OF_DAY[time][1]);
+}
+
+// The slots a request can be offered: at its building for an in-person one
+function requestSlots(type, request) {
+  if (!type) return [];
+  return (request.site ? (type.siteSlots || {})[request.site] : type.slots) || [];
+}
+
+// Open requests that some slot on offer fits, as [{ request, slots, fresh }].
+// Both arguments are availability.json contents; `fresh` are the slots that
+// weren't in the previous run's, so newly freed times can be offered first.
+function matchRequests(requests, availability, previous = null) {
+  const matches = [];
+  for (const request of requests) {
+    const type = availability.sessionTypes[request.type];
+    if (request.status !== 'open' || !type) continue;
+    const slots = requestSlots(type, request).filter(slot =>
+      slot.dateKey >= request.dateFrom && slot.dateKey <= request.dateTo && inTimesOfDay(new Date(slot.start), request.timesOfDay));
+    if (!slots.length) continue;
+    const before = previous && previous.sessionTypes[request.type];
+    const known = new Set(requestSlots(before, request).map(slot => slot.start));
+    matches.push({ request, slots, fresh: previous ? slots.filter(slot => !known.has(slot.start)) : [] });
+  }
+  return matches;
+}
+
+// Log lines for the coach, one block per matched request
+function describeMatches(matches) {
+  const lines = [];
+  for (const { request, slots, fresh } of matches) {
+    const times = request.timesOfDay.length === Object.keys(TIMES_OF_DAY).length ? 'any time' : request.timesOfDay.join('/');
+    lines.push(`${request.name} <${request.email}> wants ${request.typeName}${request.site ? ` at ${request.location}` : ''}, ${request.dateFrom} to ${request.dateTo}, ${times} [${request.id.slice(0, 8)}]`);
+    const offer = fresh.length ? fresh : slots;
+    const shown = offer.slice(0, 3).map(slot => `${formatDateLong(new Date(slot.start))} ${formatTime12(new Date(slot.start))}`);
+    lines.push(`  ${fresh.length ? `${fresh.length} newly open` : `${slots.length} open`}: ${shown.join(', ')}${offer.length > shown.length ? ', ...' : ''}`);
+  }
+  return lines;
+}
+
+module.exports = {
+  DEFAULT_REQUESTS_PATH,
+  TIMES_OF_DAY,
+  openRequests,
+  setRequestStatus,
+  validateTimeRequest,
+  decideTimeRequest,
+  createTimeRequest,
+  matchRequests,
+  describeMatches
+};
@@ -0,0 +1,97 @@
+// School calendar: blackout days that close booking, per-date hour overrides,
+// and the labels the page shows for those days
+
+const IcalExpander = require('ical-expander');
+const {
+  easternDate, easternDateKey, toEasternParts, formatDateLong, formatWeekOf, getWeekKey
+} = require('./time');
+
+// Every YYYY-MM-DD from `start` up to and including `end`
+function eachDateKey(start, end) {
+  const keys = [];
+  const [y, m, d] = start.split('-').map(Number);
+  for (let day = new Date(Date.UTC(y, m - 1, d)); ; day = new Date(day.getTime() + 86400000)) {
+    const key = day.toISOString().slice(0, 10);
+    if (key > end) break;
+    keys.push(key);
+  }
+  return keys;
+}
+
+// Blackouts from an imported school-year .ics: every event in the window
+// whose title matches one of `include` (or every event if `include` is empty)
+function importBlackouts(icsData, include, bookingWindow) {
+  const result = new IcalExpander({ ics: icsData, maxIterations: 2000 }).between(bookingWindow.start, bookingWindow.end);
+  const expanded = [
+    ...result.events.map(e => ({ summary: e.summary, startDate: e.startDate, endDate: e.endDate })),
+    ...result.occurrences.map(o => ({ summary: o.item.summary, startDate: o.startDate, endDate: o.endDate }))
+  ];
+
+  const blackouts = [];
+  for (const { summary, startDate, endDate } of expanded) {
+    const name = summary || 'School calendar';
+    if (include.length && !include.some(k => name.toLowerCase().includes(k))) continue;
+    if (startDate.isDate) {
+      // All-day DTEND is exclusive
+      const lastDay = endDate.clone();
+      lastDay.adjust(-1, 0, 0, 0);
+      const end = lastDay.compare(startDate) > 0 ? lastDay.toString() : startDate.toString();
+      blackouts.push({ name, start: startDate.toString(), end });
+    } else {
+      blackouts.push({ name, start: easternDateKey(startDate.toJSDate()), end: easternDateKey(endDate.toJSDate()) });
+    }
+  }
+  return blackouts;
+}
+
+// Rules per date: { name, closed: true } for blackouts, { name, window } for
+// shortened hours. A blackout wins over an override on the same date.
+function buildDayRules(schoolCalendar, importedBlackouts = []) {
+  const rules = new Map();
+  for (const override of schoolCalendar.overrides) {
+    rules.set(override.date, { name: override.name, window: override.window });
+  }
+  for (const blackout of [...schoolCalendar.blackouts, ...importedBlackouts]) {
+    for (const dateKey of eachDateKey(blackout.start, blackout.end)) {
+      rules.set(dateKey, { name: blackout.name, closed: true });
+    }
+  }
+  return rules;
+}
+
+// Per session type, a labelled entry for each rule date that type would
+// normally offer, so closed days say why instead of just disappearing. Types
+// in `calendarWindows` would offer the dates their booking windows fall on.
+function buildDayNotices(sessionTypes, dayRules, bookingWindow, calendarWindows = new Map()) {
+  const notices = {};
+  for (const typeKey of Object.keys(sessionTypes)) notices[typeKey] = [];
+
+  const firstKey = easternDateKey(bookingWindow.start);
+  const lastKey = easternDateKey(new Date(bookingWindow.end.getTime() - 1));
+  for (const [dateKey, rule] of [...dayRules].sort(([a], [b]) => a.localeCompare(b))) {
+    if (dateKey < firstKey || dateKey > lastKey) continue;
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const midday = easternDate(y, m, d, 12, 0);
+    const dayOfWeek = toEasternParts(midday).dayOfWeek;
+    const from = easternDate(y, m, d, 0, 0).getTime();
+    const to = easternDate(y, m, d + 1, 0, 0).getTime();
+    for (const [typeKey, config] of Object.entries(sessionTypes)) {
+      const windows = calendarWindows.get(typeKey);
+      const offered = windows
+        ? windows.some(range => range.start < to && range.end > from)
+        : config.days.includes(dayOfWeek);
+      if (!offered) continue;
+      notices[typeKey].push({
+        dateKey,
+        weekKey: getWeekKey(midday),
+        weekLabel: formatWeekOf(midday),
+        dateLong: formatDateLong(midday),
+        closed: !!rule.closed,
+        text: rule.closed ? `No sessions — ${rule.name}` : `Shortened hours — ${rule.name}`
+      });
+    }
+  }
+  return notices;
+}
+
+module.exports = { eachDateKey, importBlackouts, buildDayRules, buildDayNotices };
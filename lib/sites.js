@@ -0,0 +1,35 @@
+// In-person sessions at school buildings: the coach needs time to get there
+// from wherever the events either side of a slot are. Each building gets its
+// own availability, with busy time widened by the travel from its neighbours.
+
+// The building a calendar event's LOCATION names, or null
+function siteForLocation(sites, location) {
+  const text = (location || '').toLowerCase();
+  if (!text) return null;
+  const building = sites.buildings.find(b => b.match.some(name => text.includes(name)));
+  return building ? building.id : null;
+}
+
+function travelMinutes(sites, from, to) {
+  if (from === to) return 0;
+  const minutes = sites.travel[from] && sites.travel[from][to];
+  return minutes !== undefined ? minutes : sites.defaultTravelMinutes;
+}
+
+// Busy intervals as seen from one building: each widened on both sides by the
+// travel between it and the building. Events at no known building count as at
+// the base, or need no travel when there is no base.
+function busyForSite(busyTimes, sites, siteId) {
+  return busyTimes.map(busy => {
+    const at = siteForLocation(sites, busy.location) || sites.base;
+    const travel = at ? travelMinutes(sites, at, siteId) * 60000 : 0;
+    return travel ? { ...busy, start: new Date(busy.start.getTime() - travel), end: new Date(busy.end.getTime() + travel) } : busy;
+  });
+}
+
+// Session types that can be held in person, keyed by type id
+function inPersonTypes(sessionTypes) {
+  return Object.fromEntries(Object.entries(sessionTypes).filter(([, config]) => config.inPerson));
+}
+
+module.exports = { siteForLocation, travelMinutes, busyForSite, inPersonTypes };
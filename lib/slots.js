@@ -0,0 +1,278 @@
+// Slot engine: busy times are merged once into a sorted timeline, each day's
+// free windows are read off it, candidates are laid on a grid inside those
+// windows and the type's placement strategy picks which ones to offer
+
+const {
+  toEasternParts, easternDate, easternDateKey, formatTime12, formatDateLong,
+  formatWeekOf, getWeekKey, toGoogleDateStr
+} = require('./time');
+const { leadTimeCutoff, bookableUntil } = require('./lead-time');
+const { mergeRanges, intersectRanges } = require('./booking-windows');
+
+const DEFAULT_STEP = 15;
+
+// Sort and merge busy intervals into non-overlapping { start, end } in ms.
+// Touching intervals stay separate pieces of one run, which is harmless.
+function buildBusyTimeline(busyTimes) {
+  const sorted = busyTimes
+    .map(b => ({ start: b.start.getTime(), end: b.end.getTime() }))
+    .filter(b => b.end > b.start)
+    .sort((a, b) => a.start - b.start);
+  const timeline = [];
+  for (const interval of sorted) {
+    const last = timeline[timeline.length - 1];
+    if (last && interval.start < last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      timeline.push({ ...interval });
+    }
+  }
+  return timeline;
+}
+
+// Index of the first interval that ends after `time`
+function firstEndingAfter(timeline, time) {
+  let lo = 0;
+  let hi = timeline.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].end <= time) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Free gaps of the timeline within [from, to), as { start, end } in ms
+function freeWindows(timeline, from, to) {
+  const windows = [];
+  let cursor = from;
+  for (let i = firstEndingAfter(timeline, from); i < timeline.length && timeline[i].start < to; i++) {
+    if (timeline[i].start > cursor) windows.push({ start: cursor, end: timeline[i].start });
+    cursor = Math.max(cursor, timeline[i].end);
+  }
+  if (cursor < to) windows.push({ start: cursor, end: to });
+  return windows;
+}
+
+// Day-level labels, shared by every slot on that date
+function describeDay(midnight) {
+  const midday = new Date(midnight + 12 * 3600000);
+  return {
+    dateKey: easternDateKey(midday),
+    dateLong: formatDateLong(midday),
+    weekLabel: formatWeekOf(midday),
+    weekKey: getWeekKey(midday)
+  };
+}
+
+// One open slot as the page and feeds show it. `labels` are its day's, from
+// describeDay, and are worked out here when not passed.
+function makeSlot(start, end, bookable, labels = null) {
+  if (!labels) {
+    const parts = toEasternParts(start);
+    labels = describeDay(easternDate(parts.year, parts.month, parts.day, 0, 0).getTime());
+  }
+  return {
+    start,
+    end,
+    label: formatTime12(start),
+    bookableUntil: bookable,
+    ...labels,
+    googleStart: toGoogleDateStr(start),
+    googleEnd: toGoogleDateStr(end)
+  };
+}
+
+// Start times (ms) on a grid of `step` ms from `origin` that fit: at or after
+// `earliest`, ending by `latestEnd`, and clear of busy time including the
+// buffer on both sides. With `limit`, stops after that many.
+function gridCandidates(free, { origin, step, earliest, latestEnd, duration, buffer, limit = Infinity }) {
+  const candidates = [];
+  for (const window of free) {
+    const from = Math.max(window.start + buffer, earliest);
+    const until = Math.min(window.end - buffer, latestEnd);
+    for (let start = origin + Math.ceil((from - origin) / step) * step; start + duration <= until; start += step) {
+      candidates.push(start);
+      if (candidates.length >= limit) return candidates;
+    }
+  }
+  return candidates;
+}
+
+// Whether one start time passes the same checks as a grid candidate
+function fits(free, start, { earliest, latestEnd, duration, buffer }) {
+  return start >= earliest && start + duration <= latestEnd &&
+    free.some(window => window.start + buffer <= start && start + duration + buffer <= window.end);
+}
+
+// Up to `count` candidates, each the nearest unused one to the next target
+// (earlier wins a tie), returned in time order
+function pickNearest(candidates, targets, count) {
+  const chosen = new Set();
+  for (const target of targets) {
+    if (chosen.size >= count) break;
+    let best = null;
+    for (const candidate of candidates) {
+      if (chosen.has(candidate)) continue;
+      if (best === null || Math.abs(candidate - target) < Math.abs(best - target)) best = candidate;
+    }
+    if (best === null) break;
+    chosen.add(best);
+  }
+  return [...chosen].sort((a, b) => a - b);
+}
+
+// Which start times to offer on one day, per the type's placement strategy
+function placeSlots(config, free, day) {
+  const step = (config.step || DEFAULT_STEP) * 60000;
+  const grid = {
+    origin: day.windowStart,
+    step,
+    earliest: Math.max(day.windowStart, day.leadCutoff),
+    latestEnd: day.windowEnd,
+    duration: config.duration * 60000,
+    buffer: config.buffer * 60000
+  };
+
+  switch (config.placement || 'earliest') {
+    case 'aligned':
+      // Same as earliest, on a grid counted from midnight so times land on
+      // the hour or half-hour whatever the window start
+      return gridCandidates(free, { ...grid, origin: day.midnight, limit: config.maxPerDay });
+    case 'spread': {
+      // Targets evenly spaced from the first to the last possible start
+      const candidates = gridCandidates(free, grid);
+      const count = config.maxPerDay;
+      const span = day.windowEnd - grid.duration - day.windowStart;
+      const targets = Array.from({ length: count }, (_, i) =>
+        day.windowStart + (count === 1 ? span / 2 : span * i / (count - 1)));
+      return pickNearest(candidates, targets, count);
+    }
+    case 'anchors': {
+      // The anchor times themselves when free, otherwise the nearest grid time
+      const anchorTimes = config.anchors.map(a => easternDate(day.parts.year, day.parts.month, day.parts.day, a.hour, a.minute).getTime());
+      const exact = anchorTimes.filter(time => fits(free, time, grid));
+      const candidates = [...new Set([...exact, ...gridCandidates(free, grid)])];
+      return pickNearest(candidates, anchorTimes, Math.min(config.maxPerDay, anchorTimes.length));
+    }
+    default:
+      return gridCandidates(free, { ...grid, limit: config.maxPerDay });
+  }
+}
+
+// Time (ms) of a wall-clock minute of the day on one date
+function atMinutes(parts, minutes) {
+  return easternDate(parts.year, parts.month, parts.day, Math.floor(minutes / 60), minutes % 60).getTime();
+}
+
+// The booking window's days, each with its school calendar rule
+function bookingDays(bookingWindow, dayRules = new Map()) {
+  const days = [];
+  for (let day = bookingWindow.start; day < bookingWindow.end;) {
+    const parts = toEasternParts(day);
+    // Next day (midnight to midnight, so DST changes don't shift the date)
+    const next = easternDate(parts.year, parts.month, parts.day + 1, 0, 0);
+    days.push({ parts, rule: dayRules.get(easternDateKey(day)), labels: null, midnight: day.getTime(), nextMidnight: next.getTime() });
+    day = next;
+  }
+  return days;
+}
+
+// When one type may be offered on one day, as { start, end } ranges in ms:
+// its window on its days, or its booking windows from the calendar, narrowed
+// by the day's school calendar rule. Ranges too short for a session are left
+// out.
+function dayRanges(config, day, windows = null) {
+  const { parts, rule } = day;
+  if (rule && rule.closed) return [];
+
+  // Candidate grids are laid in elapsed time, which matches wall-clock
+  // time on school days (DST changes happen at 2 AM)
+  let ranges;
+  if (windows) {
+    ranges = intersectRanges(windows, [{ start: day.midnight, end: day.nextMidnight }]);
+  } else {
+    // Check if this day of week is allowed
+    if (!config.days.includes(parts.dayOfWeek)) return [];
+    ranges = [{ start: atMinutes(parts, config.startHour * 60 + config.startMin), end: atMinutes(parts, config.endHour * 60 + config.endMin) }];
+  }
+  if (rule && rule.window) {
+    // Override hours narrow the type's own window
+    ranges = intersectRanges(ranges, [{
+      start: atMinutes(parts, rule.window.start.hour * 60 + rule.window.start.minute),
+      end: atMinutes(parts, rule.window.end.hour * 60 + rule.window.end.minute)
+    }]);
+  }
+  return ranges.filter(range => range.end - range.start >= config.duration * 60000);
+}
+
+// Generate open slots for each session type, keyed by type id. `dayRules`
+// (from the school calendar) closes dates or narrows their hours, and
+// `businessHours` is what business hour and day lead times count. Types in
+// `calendarWindows` (merged { start, end } ranges by type id, from booking
+// window events) are offered inside those ranges instead of their days and
+// window.
+function generateSlots(sessionTypes, busyTimes, bookingWindow, now, dayRules = new Map(), businessHours = null, calendarWindows = new Map()) {
+  const timeline = buildBusyTimeline(busyTimes);
+  // Each day's labels are worked out once, for its first slot
+  const days = bookingDays(bookingWindow, dayRules);
+
+  const allSlots = {};
+  for (const [typeKey, config] of Object.entries(sessionTypes)) {
+    const slots = [];
+    const leadCutoff = leadTimeCutoff(config.leadTime, now, businessHours, dayRules).getTime();
+    const buffer = config.buffer * 60000;
+    const windows = calendarWindows.get(typeKey);
+
+    for (const day of days) {
+      const ranges = dayRanges(config, day, windows);
+      if (!ranges.length) continue;
+
+      const windowStart = ranges[0].start;
+      const windowEnd = ranges[ranges.length - 1].end;
+      let free = freeWindows(timeline, windowStart - buffer, windowEnd + buffer);
+      if (windows) {
+        // Only inside the booking windows; as at the ends of a configured
+        // window, the buffer doesn't apply at their edges
+        free = intersectRanges(free, mergeRanges(ranges.map(range => ({ start: range.start - buffer, end: range.end + buffer }))));
+      }
+
+      for (const start of placeSlots(config, free, { parts: day.parts, midnight: day.midnight, windowStart, windowEnd, leadCutoff })) {
+        if (!day.labels) day.labels = describeDay(day.midnight);
+        const slotStart = new Date(start);
+        const slotEnd = new Date(start + config.duration * 60000);
+        slots.push(makeSlot(slotStart, slotEnd, bookableUntil(config.leadTime, slotStart, businessHours, dayRules), day.labels));
+      }
+    }
+
+    allSlots[typeKey] = slots;
+  }
+
+  return allSlots;
+}
+
+// Group one type's slots by week, then by date, in date order. Day notices
+// (blackouts, shortened hours) add their date even when it has no slots.
+function groupSlots(slots, notices = []) {
+  const weeks = new Map();
+  const dateEntry = (item) => {
+    if (!weeks.has(item.weekKey)) {
+      weeks.set(item.weekKey, { label: item.weekLabel, dates: new Map() });
+    }
+    const week = weeks.get(item.weekKey);
+    if (!week.dates.has(item.dateKey)) {
+      week.dates.set(item.dateKey, { label: item.dateLong, notice: null, slots: [] });
+    }
+    return week.dates.get(item.dateKey);
+  };
+  for (const slot of slots) dateEntry(slot).slots.push(slot);
+  for (const notice of notices) dateEntry(notice).notice = notice.text;
+
+  // Notices can land between existing dates, so restore key order
+  const byKey = (a, b) => a[0].localeCompare(b[0]);
+  const sorted = new Map([...weeks].sort(byKey));
+  for (const week of sorted.values()) week.dates = new Map([...week.dates].sort(byKey));
+  return sorted;
+}
+
+module.exports = { buildBusyTimeline, freeWindows, describeDay, makeSlot, atMinutes, bookingDays, dayRanges, generateSlots, groupSlots };
@@ -0,0 +1,17 @@
+// The last successful refresh of each coach's page, for its freshness note:
+// { checkedAt, changedAt, contentHash }. It lives in a store (see
+// lib/store.js) rather than a committed file, so a run that finds nothing new
+// leaves the repo alone, and the page reads it through /api/status.
+
+const path = require('path');
+const { openStore } = require('./store');
+
+const DEFAULT_STATUS_PATH = path.join(__dirname, '..', 'data', 'status.json');
+
+// One coach's check record: in KV when it is configured, otherwise the file.
+// Read it with get() and replace it with set().
+function openStatus({ statusPath = DEFAULT_STATUS_PATH, coachId = null, env } = {}) {
+  return openStore('status', { filePath: statusPath, coachId, env });
+}
+
+module.exports = { DEFAULT_STATUS_PATH, openStatus };
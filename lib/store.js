@@ -0,0 +1,127 @@
+// Record stores for bookings, waitlist requests and the last refresh check.
+// The API and the refresh workflow both use them, so a deployment keeps each
+// under a Redis key behind the Upstash REST API, which is what Vercel KV
+// provides: set KV_REST_API_URL and KV_REST_API_TOKEN for both. Without
+// those, local runs and tests use a file under data/. A serverless function
+// can't keep files, so on Vercel a store without KV is refused.
+//
+// A store holds either a list of records (read, append, replace) or a single
+// value (get, set), never both.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long one writer may hold a KV store's lock, and how long another waits
+const LOCK_TTL_MS = 10000;
+const LOCK_WAIT_MS = 10000;
+const LOCK_RETRY_MS = 100;
+
+// Writers to each file in this process take turns
+const fileQueues = new Map();
+
+function fileStore(filePath) {
+  const readAll = () => {
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  };
+  const writeLines = (records, write) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    write(filePath, records.map(record => JSON.stringify(record) + '\n').join(''));
+  };
+  return {
+    async read() {
+      return readAll();
+    },
+    async append(records) {
+      writeLines(records, fs.appendFileSync);
+    },
+    // Swap the record at `index` (in read order) for `record`
+    async replace(index, record) {
+      const records = readAll();
+      records[index] = record;
+      writeLines(records, fs.writeFileSync);
+    },
+    async get() {
+      return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+    },
+    async set(value) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + '\n');
+    },
+    // Run `fn` with no other writer in between, so a read-decide-append
+    // can't interleave with another
+    exclusive(fn) {
+      const run = (fileQueues.get(filePath) || Promise.resolve()).then(fn);
+      fileQueues.set(filePath, run.catch(() => {}));
+      return run;
+    }
+  };
+}
+
+// A Redis list of JSON records, or one JSON value, at `key`, over the
+// Upstash REST API. Every function instance shares it, so `exclusive` holds a
+// lock key in Redis.
+function kvStore({ url, token, key, fetchImpl = fetch, sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)) }) {
+  async function command(...args) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) throw new Error(`KV ${args[0]} failed: ${data.error || `HTTP ${response.status}`}`);
+    return data.result;
+  }
+
+  const lockKey = `${key}:lock`;
+  return {
+    async read() {
+      return (await command('LRANGE', key, 0, -1)).map(line => JSON.parse(line));
+    },
+    async append(records) {
+      if (records.length) await command('RPUSH', key, ...records.map(record => JSON.stringify(record)));
+    },
+    async replace(index, record) {
+      await command('LSET', key, index, JSON.stringify(record));
+    },
+    async get() {
+      const value = await command('GET', key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(value) {
+      await command('SET', key, JSON.stringify(value));
+    },
+    async exclusive(fn) {
+      const holder = crypto.randomUUID();
+      const giveUpAt = Date.now() + LOCK_WAIT_MS;
+      while (await command('SET', lockKey, holder, 'NX', 'PX', LOCK_TTL_MS) !== 'OK') {
+        if (Date.now() >= giveUpAt) throw new Error(`KV store "${key}" stayed locked for ${LOCK_WAIT_MS / 1000}s`);
+        await sleep(LOCK_RETRY_MS);
+      }
+      try {
+        return await fn();
+      } finally {
+        // Only release a lock that hasn't expired and passed to someone else
+        if (await command('GET', lockKey) === holder) await command('DEL', lockKey);
+      }
+    }
+  };
+}
+
+// The store for `kind` ("bookings", "requests" or "status"): in KV when it is
+// configured, keyed by coach with several coaches, otherwise the file
+function openStore(kind, { filePath, coachId = null, env = process.env, ...options }) {
+  if (env.KV_REST_API_URL && env.KV_REST_API_TOKEN) {
+    return kvStore({ url: env.KV_REST_API_URL, token: env.KV_REST_API_TOKEN, key: coachId ? `${coachId}:${kind}` : kind, ...options });
+  }
+  if (env.VERCEL) {
+    throw new Error(`KV_REST_API_URL and KV_REST_API_TOKEN must be set: a serverless function can't keep ${kind} in a file`);
+  }
+  return fileStore(filePath);
+}
+
+module.exports = { fileStore, kvStore, openStore };
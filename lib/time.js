@@ -0,0 +1,153 @@
+// Timezone helpers. All wall-clock math happens in the coach's time zone.
+
+const TIMEZONE = 'America/New_York';
+
+// Formatters are costly to build, so each one is made once and reused
+const PARTS_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  year: 'numeric', month: '2-digit', day: '2-digit',
+  hour: '2-digit', minute: '2-digit', hour12: false, weekday: 'short'
+});
+const TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  hour: 'numeric', minute: '2-digit', hour12: true
+});
+const DATE_LONG_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  weekday: 'long', month: 'long', day: 'numeric'
+});
+const MONTH_DAY_FORMAT = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIMEZONE,
+  month: 'long', day: 'numeric'
+});
+
+function toEasternParts(date) {
+  const parts = PARTS_FORMAT.formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    year: parseInt(get('year')),
+    month: parseInt(get('month')),
+    day: parseInt(get('day')),
+    hour: parseInt(get('hour')) % 24,
+    minute: parseInt(get('minute')),
+    weekday: get('weekday'),
+    dayOfWeek: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+function easternDateKey(date) {
+  const p = toEasternParts(date);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+function formatTime12(date) {
+  return TIME_FORMAT.format(date);
+}
+
+function formatDateLong(date) {
+  return DATE_LONG_FORMAT.format(date);
+}
+
+function formatWeekOf(date) {
+  // Find Monday of this week
+  const p = toEasternParts(date);
+  const mondayOffset = (p.dayOfWeek === 0 ? -6 : 1) - p.dayOfWeek;
+  const monday = new Date(date.getTime() + mondayOffset * 86400000);
+  return 'Week of ' + MONTH_DAY_FORMAT.format(monday);
+}
+
+function getWeekKey(date) {
+  const p = toEasternParts(date);
+  const mondayOffset = (p.dayOfWeek === 0 ? -6 : 1) - p.dayOfWeek;
+  const monday = new Date(date.getTime() + mondayOffset * 86400000);
+  return easternDateKey(monday);
+}
+
+// Offset (ms) from Eastern wall-clock time to UTC, per wall-clock hour. DST
+// changes fall on the hour, so every minute of an hour shares an offset.
+const offsetCache = new Map();
+
+// Create a date in Eastern time
+function easternDate(year, month, day, hour, minute) {
+  const target = Date.UTC(year, month - 1, day, hour, minute, 0);
+  const hourKey = Math.floor(target / 3600000);
+  if (!offsetCache.has(hourKey)) {
+    const hourStart = hourKey * 3600000;
+    offsetCache.set(hourKey, findEasternInstant(hourStart) - hourStart);
+  }
+  return new Date(target + offsetCache.get(hourKey));
+}
+
+// The instant whose Eastern wall clock reads `target` (a UTC-encoded wall time)
+function findEasternInstant(target) {
+  // Start with UTC assumption, then correct by the difference between the
+  // wall-clock time we asked for and what Eastern shows for the guess
+  const wallClockDiff = (d) => {
+    const p = toEasternParts(d);
+    return target - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, 0);
+  };
+  let d = new Date(target);
+  d = new Date(d.getTime() + wallClockDiff(d));
+  // Verify
+  const diff = wallClockDiff(d);
+  if (diff !== 0) {
+    // DST edge case - try one more adjustment
+    d = new Date(d.getTime() + diff);
+  }
+  return d.getTime();
+}
+
+// Compute the booking window [start, end) for a given "now": a rolling span
+// of `weeks` from today, optionally capped at the last day of the school year
+// (`schoolYearEnd`, YYYY-MM-DD)
+function getBookingWindow(now, { weeks, schoolYearEnd }) {
+  const today = toEasternParts(now);
+  const start = easternDate(today.year, today.month, today.day, 0, 0);
+  let end = new Date(start.getTime() + weeks * 7 * 86400000);
+  // Re-anchor to local midnight in case the span crosses a DST change
+  const endParts = toEasternParts(new Date(end.getTime() + 12 * 3600000));
+  end = easternDate(endParts.year, endParts.month, endParts.day, 0, 0);
+
+  let capped = false;
+  if (schoolYearEnd) {
+    const match = schoolYearEnd.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) throw new Error(`SCHOOL_YEAR_END must be YYYY-MM-DD, got "${schoolYearEnd}"`);
+    const lastDay = easternDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), 0, 0);
+    const cap = new Date(lastDay.getTime() + 86400000);
+    if (cap < end) {
+      end = cap;
+      capped = true;
+    }
+  }
+
+  return { start, end, weeks, capped };
+}
+
+// iCal basic date (YYYYMMDD) for a JS date, in Eastern time
+function toIcsDateKey(date) {
+  return easternDateKey(date).replace(/-/g, '');
+}
+
+function toGoogleDateStr(date) {
+  // Use UTC with Z suffix -- unambiguous, no timezone guessing
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const d = String(date.getUTCDate()).padStart(2, '0');
+  const h = String(date.getUTCHours()).padStart(2, '0');
+  const min = String(date.getUTCMinutes()).padStart(2, '0');
+  return `${y}${m}${d}T${h}${min}00Z`;
+}
+
+module.exports = {
+  TIMEZONE,
+  toEasternParts,
+  easternDateKey,
+  formatTime12,
+  formatDateLong,
+  formatWeekOf,
+  getWeekKey,
+  easternDate,
+  getBookingWindow,
+  toIcsDateKey,
+  toGoogleDateStr
+};
@@ -0,0 +1,32 @@
+// Utilization report CLI: fetch the calendars as a refresh would and print,
+// per week and session type, busy, offered and booked hours, days with no
+// slots left, and the time-of-day heatmap. It leaves the page and feeds
+// alone; the only files it writes are the calendar cache in .cache/ics, which
+// the next refresh reuses. With coaches.json it reports on every coach, or on
+// the one named by COACH.
+//
+//   npm run report
+//   COACH=fraser npm run report
+
+const { generate, runOptions, logSourceReports } = require('./generate');
+const { formatReport } = require('./lib/report');
+
+async function main() {
+  const { horizon, readIcs, directory, coaches } = await runOptions();
+  for (const { config, bookings, env } of coaches) {
+    if (directory) console.log(`\n=== ${config.coach.name} (${config.coach.id}/) ===`);
+    let result;
+    try {
+      result = await generate({ config, now: new Date(), horizon, readIcs: (source) => readIcs(source, env), bookings });
+    } catch (err) {
+      if (err.reports) logSourceReports(err.reports, false);
+      throw err;
+    }
+    for (const line of formatReport(result.report, config.sessionTypes)) console.log(line);
+  }
+}
+
+main().catch(err => {
+  console.error('Error:', err.message);
+  process.exit(1);
+});
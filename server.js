@@ -0,0 +1,74 @@
+// Local server: serves the generated files and the booking API, the same way
+// the Vercel deployment does. Run with `npm run serve`.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { loadEnvFile } = require('./lib/config');
+const { coachIds } = require('./lib/coaches');
+
+loadEnvFile(path.join(__dirname, '.env'));
+
+const PORT = parseInt(process.env.PORT || '3000', 10);
+
+// API routes, keyed by URL path; each module exports a (req, res) handler
+const ROUTES = {
+  '/api/book': require('./api/book'),
+  '/api/request': require('./api/request'),
+  '/api/status': require('./api/status')
+};
+
+// Only generated, public files are served: at the root, and with
+// coaches.json in each coach's folder too
+const STATIC_FILES = {
+  'index.html': 'text/html; charset=utf-8',
+  'admin.html': 'text/html; charset=utf-8',
+  'availability.json': 'application/json',
+  'open-slots.ics': 'text/calendar; charset=utf-8'
+};
+
+// [file path, content type] for a URL path, or null
+function staticFile(pathname) {
+  const match = pathname.match(/^\/(?:([a-z0-9-]+)\/)?([a-z.-]*)$/);
+  if (!match || (match[1] && !coachIds().includes(match[1]))) return null;
+  const name = match[2] || 'index.html';
+  if (!STATIC_FILES[name]) return null;
+  return [path.join(__dirname, match[1] || '', name), STATIC_FILES[name]];
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES[url.pathname];
+    if (route) {
+      route(req, res);
+      return;
+    }
+
+    // A coach's page links its feeds relatively, so it needs the slash
+    if (coachIds().includes(url.pathname.slice(1))) {
+      res.statusCode = 301;
+      res.setHeader('Location', `${url.pathname}/`);
+      res.end();
+      return;
+    }
+
+    const file = staticFile(url.pathname);
+    const filePath = file && file[0];
+    if (!file || !fs.existsSync(filePath) || req.method !== 'GET') {
+      res.statusCode = 404;
+      res.end('Not found');
+      return;
+    }
+    res.setHeader('Content-Type', file[1]);
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`Booking page at http://localhost:${PORT}/`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const book = require('../api/book');
+const status = require('../api/status');
+const { fileStore } = require('../lib/store');
+
+// Call a handler the way Vercel does, with any JSON body already parsed
+async function call(handler, req) {
+  const res = { headers: {}, setHeader(name, value) { this.headers[name] = value; }, end(text) { this.body = JSON.parse(text); } };
+  await handler(req, res);
+  return res;
+}
+const post = (handler, body) => call(handler, { method: 'POST', url: '/', body });
+
+// The handler books against the real clock, so the slots are two days out
+const day = new Date(Math.ceil(Date.now() / 3600000) * 3600000 + 2 * 86400000);
+const at = (minutes) => new Date(day.getTime() + minutes * 60000).toISOString();
+const slot = (minutes) => ({ start: at(minutes), end: at(minutes + 30), bookableUntil: at(minutes) });
+const availability = {
+  sessionTypes: {
+    visit: {
+      name: 'School Visit',
+      slots: [slot(45)],
+      siteSlots: { north: [slot(0)], south: [slot(45), slot(75)] }
+    }
+  },
+  sites: [
+    { id: 'north', name: 'North Elementary', match: ['north elementary'] },
+    { id: 'south', name: 'South Middle', match: ['south middle'] }
+  ],
+  travel: { minutes: { north: { south: 35 }, south: { north: 35 } }, base: null, defaultTravelMinutes: 25 }
+};
+
+test('api/book leaves travel time between bookings at different buildings', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+  fs.writeFileSync(path.join(dir, 'availability.json'), JSON.stringify(availability));
+  process.env.AVAILABILITY_PATH = path.join(dir, 'availability.json');
+  process.env.BOOKINGS_PATH = path.join(dir, 'bookings.jsonl');
+  t.after(() => {
+    delete process.env.AVAILABILITY_PATH;
+    delete process.env.BOOKINGS_PATH;
+    fs.rmSync(dir, { recursive: true });
+  });
+  const request = (minutes, site) => ({ type: 'visit', start: at(minutes), site, name: 'Pat Principal', email: 'pat@school.org' });
+
+  assert.equal((await post(book, request(0, 'north'))).statusCode, 201);
+  // Fifteen minutes after North Elementary is too soon to be at South Middle,
+  // but not too soon for a virtual session
+  const tooSoon = await post(book, request(45, 'south'));
+  assert.equal(tooSoon.statusCode, 409);
+  assert.equal(tooSoon.body.error, 'slot_taken');
+  assert.equal((await post(book, request(75, 'south'))).statusCode, 201);
+  assert.equal((await post(book, request(45))).statusCode, 201);
+});
+
+test('api/status serves the last check the refresh recorded', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-'));
+  process.env.STATUS_PATH = path.join(dir, 'status.json');
+  t.after(() => {
+    delete process.env.STATUS_PATH;
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  assert.equal((await call(status, { method: 'GET', url: '/api/status' })).statusCode, 404);
+  const check = { checkedAt: '2026-10-26T12:10:00.000Z', changedAt: '2026-10-26T12:00:00.000Z', contentHash: 'abc' };
+  await fileStore(process.env.STATUS_PATH).set(check);
+  const found = await call(status, { method: 'GET', url: '/api/status' });
+  assert.equal(found.statusCode, 200);
+  assert.deepEqual(found.body, check);
+  assert.equal(found.headers['Cache-Control'], 'no-store');
+  assert.equal((await call(status, { method: 'GET', url: '/api/status?coach=nobody' })).statusCode, 400);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { generate } = require('../generate');
+const { loadConfig } = require('../lib/config');
+const { assignBookingWindows, intersectRanges } = require('../lib/booking-windows');
+
+const fixtureConfig = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+const config = {
+  ...fixtureConfig,
+  bookingWindows: { keywords: ['booking window'], types: ['short', 'long'] },
+  sources: [
+    ...fixtureConfig.sources,
+    { name: 'Windows', path: path.join(__dirname, 'fixtures', 'booking-windows.ics'), block: true, allDayBusy: true, include: [], exclude: [] }
+  ]
+};
+const horizon = { weeks: 3, schoolYearEnd: '' };
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+
+const labels = (slots) => slots.map(s => `${s.dateKey} ${s.label}`);
+
+test('booking window events replace the configured days and hours', async () => {
+  const result = await generate({ config, now, horizon });
+
+  // Tuesday's 1-3 PM window, less the 1:30 site call and its buffer; the
+  // half day narrows Nov 3's window to 9-10
+  assert.deepEqual(labels(result.allSlots.short), [
+    '2026-10-27 2:15 PM', '2026-10-27 2:30 PM',
+    '2026-11-03 9:00 AM', '2026-11-03 9:15 AM', '2026-11-03 9:30 AM'
+  ]);
+  // A Saturday window tagged for the long session only; its usual
+  // Wednesdays have no window
+  assert.deepEqual(labels(result.allSlots.long), ['2026-10-31 10:00 AM']);
+
+  const decisions = result.reports[2].decisions.map(d => d.reason);
+  assert.deepEqual(decisions, ['booking window', 'busy', 'booking window', 'booking window', 'all-day booking window', 'booking window']);
+  assert.match(result.reports[2].status, /1 blocking, 4 booking windows/);
+
+  // A closed day with a window says why it has no slots
+  assert.match(result.files['index.html'], /Thursday, October 29<\/h4><p class="day-notice closed">No sessions — Fall Break<\/p>/);
+});
+
+test('types outside bookingWindows.types keep their configured hours', async () => {
+  const result = await generate({ config: { ...config, bookingWindows: { keywords: ['booking window'], types: ['long'] } }, now, horizon });
+  assert.equal(result.allSlots.short.find(s => s.dateKey === '2026-10-27').label, '9:00 AM');
+  assert.deepEqual(labels(result.allSlots.long), ['2026-10-31 10:00 AM']);
+});
+
+test('assignBookingWindows merges windows per type and honours named types', () => {
+  const sessionTypes = { short: { name: 'Short Session' }, long: { name: 'Long Session' } };
+  const at = (h) => new Date(Date.UTC(2026, 9, 27, h));
+  const windows = [
+    { start: at(13), end: at(15), text: 'booking window' },
+    { start: at(14), end: at(16), text: 'booking window' },
+    { start: at(17), end: at(18), text: 'booking window\nlong session' }
+  ];
+  const byType = assignBookingWindows(windows, sessionTypes, { types: ['short', 'long'] });
+  assert.deepEqual(byType.get('short'), [{ start: at(13).getTime(), end: at(16).getTime() }]);
+  assert.equal(byType.get('long').length, 2);
+  assert.deepEqual(intersectRanges([{ start: 0, end: 10 }, { start: 20, end: 30 }], [{ start: 5, end: 25 }]),
+    [{ start: 5, end: 10 }, { start: 20, end: 25 }]);
+});
@@ -0,0 +1,174 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decideBooking, createBooking, bookingsToBusyTimes } = require('../lib/bookings');
+const { fileStore } = require('../lib/store');
+
+const now = new Date('2026-10-26T12:00:00Z');
+const availability = {
+  sessionTypes: {
+    short: {
+      name: 'Short Session',
+      buffer: 15,
+      slots: [
+        { start: '2026-10-27T13:00:00.000Z', end: '2026-10-27T13:30:00.000Z' },
+        { start: '2026-10-27T13:30:00.000Z', end: '2026-10-27T14:00:00.000Z' },
+        { start: '2026-10-27T15:00:00.000Z', end: '2026-10-27T15:30:00.000Z' }
+      ]
+    }
+  }
+};
+const request = (overrides) => ({ type: 'short', start: '2026-10-27T13:00:00.000Z', name: 'Pat Principal', email: 'Pat@School.org', ...overrides });
+
+test('decideBooking accepts an open slot and records who booked it', () => {
+  const result = decideBooking(request({ notes: ' Budget ' }), { availability, bookings: [], now });
+  assert.equal(result.status, 201);
+  const { booking } = result.body;
+  assert.equal(booking.end, '2026-10-27T13:30:00.000Z');
+  assert.equal(booking.email, 'pat@school.org');
+  assert.equal(booking.notes, 'Budget');
+  assert.equal(booking.createdAt, now.toISOString());
+});
+
+test('decideBooking books an in-person session at a building from its slots', () => {
+  const sited = {
+    sites: [{ id: 'north', name: 'North Elementary' }],
+    sessionTypes: { short: { ...availability.sessionTypes.short, siteSlots: { north: availability.sessionTypes.short.slots.slice(1) } } }
+  };
+  const result = decideBooking(request({ start: '2026-10-27T13:30:00.000Z', site: 'north', location: 'Zoom' }), { availability: sited, bookings: [], now });
+  assert.equal(result.status, 201);
+  assert.equal(result.body.booking.site, 'north');
+  assert.equal(result.body.booking.location, 'North Elementary');
+  // The virtual slot isn't open at the building
+  assert.equal(decideBooking(request({ site: 'north' }), { availability: sited, bookings: [], now }).body.error, 'slot_taken');
+  assert.deepEqual(decideBooking(request({ site: 'west' }), { availability: sited, bookings: [], now }).body.details,
+    ['Short Session sessions can\'t be held at "west"']);
+  assert.equal(decideBooking(request(), { availability: sited, bookings: [], now }).body.booking.site, undefined);
+});
+
+test('decideBooking rejects bad input', () => {
+  const result = decideBooking(request({ email: 'nope', type: '' }), { availability, bookings: [], now });
+  assert.equal(result.status, 400);
+  assert.deepEqual(result.body.details, ['type is required', 'email must be a valid email address']);
+  assert.equal(decideBooking(request({ type: 'other' }), { availability, bookings: [], now }).status, 400);
+});
+
+test('decideBooking refuses slots that are gone or overlap a booking', () => {
+  const notOffered = decideBooking(request({ start: '2026-10-27T14:00:00.000Z' }), { availability, bookings: [], now });
+  assert.equal(notOffered.status, 409);
+
+  const booked = [{ status: 'booked', start: '2026-10-27T13:00:00.000Z', end: '2026-10-27T13:30:00.000Z' }];
+  // Adjacent slot is inside the 15-minute buffer
+  const adjacent = decideBooking(request({ start: '2026-10-27T13:30:00.000Z' }), { availability, bookings: booked, now });
+  assert.equal(adjacent.status, 409);
+  assert.equal(adjacent.body.error, 'slot_taken');
+
+  const later = decideBooking(request({ start: '2026-10-27T15:00:00.000Z' }), { availability, bookings: booked, now });
+  assert.equal(later.status, 201);
+
+  const cancelled = [{ ...booked[0], status: 'cancelled' }];
+  assert.equal(decideBooking(request(), { availability, bookings: cancelled, now }).status, 201);
+});
+
+test('decideBooking refuses slots inside the lead time', () => {
+  const short = availability.sessionTypes.short;
+  // A 26-hour lead time: 13:00Z on the 27th was bookable until 11:00Z on the 26th
+  const slots = short.slots.map(slot => ({ ...slot, bookableUntil: new Date(new Date(slot.start).getTime() - 26 * 3600000).toISOString() }));
+  const withLeadTime = { sessionTypes: { short: { ...short, slots } } };
+  assert.equal(decideBooking(request(), { availability: withLeadTime, bookings: [], now }).status, 409);
+  assert.equal(decideBooking(request({ start: '2026-10-27T15:00:00.000Z' }), { availability: withLeadTime, bookings: [], now }).status, 201);
+});
+
+test('decideBooking checks intake answers and keeps them on the record', () => {
+  const questions = [
+    { id: 'school', label: 'School', type: 'text', required: true, options: [] },
+    { id: 'focus', label: 'Focus', type: 'select', required: false, options: ['Planning', 'Data'] },
+    { id: 'team', label: 'Team members', type: 'emails', required: true, options: [] }
+  ];
+  const withQuestions = { sessionTypes: { short: { ...availability.sessionTypes.short, questions, seats: 4 } } };
+  const invalid = decideBooking(request({ answers: { focus: 'Lunch', team: ['ok@school.org', 'nope'] } }), { availability: withQuestions, bookings: [], now });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.details, [
+    'School is required',
+    'Focus must be one of Planning, Data',
+    'Team members has "nope", which is not an email address'
+  ]);
+
+  const answers = { school: ' Central High ', team: 'A@School.org, b@school.org' };
+  const result = decideBooking(request({ answers }), { availability: withQuestions, bookings: [], now });
+  assert.equal(result.status, 201);
+  assert.deepEqual(result.body.booking.answers, [
+    { id: 'school', label: 'School', value: 'Central High' },
+    { id: 'team', label: 'Team members', value: ['a@school.org', 'b@school.org'] }
+  ]);
+  assert.equal(result.body.booking.seats, 3);
+
+  const crowd = { school: 'Central High', team: 'a@school.org b@school.org c@school.org d@school.org' };
+  assert.deepEqual(decideBooking(request({ answers: crowd }), { availability: withQuestions, bookings: [], now }).body.details,
+    ['Short Session sessions have room for 4 people, including you']);
+});
+
+test('decideBooking lets people join a group session while seats are left', () => {
+  const group = { sessionTypes: { short: { ...availability.sessionTypes.short, seats: 3, joinable: true } }, capacity: { maxSessionsPerDay: 1 } };
+  const first = decideBooking(request(), { availability: group, bookings: [], now });
+  assert.equal(first.status, 201);
+  const booked = [{ ...first.body.booking, seats: 2 }];
+  // Joining doesn't clash with the session itself or count against capacity
+  assert.equal(decideBooking(request({ email: 'lee@school.org' }), { availability: group, bookings: booked, now }).status, 201);
+  const full = decideBooking(request(), { availability: group, bookings: [...booked, first.body.booking], now });
+  assert.equal(full.status, 409);
+  assert.equal(full.body.error, 'seats_full');
+  // A different time still overlaps the booked session's buffer
+  assert.equal(decideBooking(request({ start: '2026-10-27T13:30:00.000Z' }), { availability: group, bookings: booked, now }).status, 409);
+});
+
+test('decideBooking enforces coach-wide capacity across types', () => {
+  const capped = { ...availability, capacity: { maxSessionsPerDay: 1 } };
+  const booked = [{ status: 'booked', start: '2026-10-27T17:00:00.000Z', end: '2026-10-27T18:30:00.000Z' }];
+  const result = decideBooking(request(), { availability: capped, bookings: booked, now });
+  assert.equal(result.status, 409);
+  assert.equal(result.body.error, 'capacity_reached');
+  assert.match(result.body.message, /full for that day/);
+});
+
+test('decideBooking books a weekly series all together or not at all', () => {
+  const weekly = { sessionTypes: { short: { ...availability.sessionTypes.short, slots: [
+    ...availability.sessionTypes.short.slots,
+    { start: '2026-11-03T14:00:00.000Z', end: '2026-11-03T14:30:00.000Z' },
+    { start: '2026-11-11T15:00:00.000Z', end: '2026-11-11T15:30:00.000Z' }
+  ] } } };
+  const series = ['2026-11-03T14:00:00.000Z', '2026-11-11T15:00:00.000Z'];
+  const result = decideBooking(request({ series }), { availability: weekly, bookings: [], now });
+  assert.equal(result.status, 201);
+  assert.deepEqual(result.body.series.map(b => b.start), ['2026-10-27T13:00:00.000Z', ...series]);
+  assert.equal(new Set(result.body.series.map(b => b.seriesId)).size, 1);
+  assert.equal(result.body.booking, result.body.series[0]);
+
+  // One taken week refuses the whole series and says which one
+  const taken = [{ status: 'booked', start: series[1], end: '2026-11-11T15:30:00.000Z' }];
+  const refused = decideBooking(request({ series }), { availability: weekly, bookings: taken, now });
+  assert.equal(refused.status, 409);
+  assert.equal(refused.body.start, series[1]);
+  assert.deepEqual(decideBooking(request({ series: [request().start] }), { availability: weekly, bookings: [], now }).body.details,
+    ['series must not repeat a start time']);
+});
+
+test('createBooking lets only one of two simultaneous requests through', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bookings-'));
+  const availabilityPath = path.join(dir, 'availability.json');
+  const bookingsPath = path.join(dir, 'data', 'bookings.jsonl');
+  fs.writeFileSync(availabilityPath, JSON.stringify(availability));
+  const options = { availabilityPath, store: fileStore(bookingsPath), now: () => now };
+
+  const results = await Promise.all([createBooking(request(), options), createBooking(request(), options)]);
+  assert.deepEqual(results.map(r => r.status), [201, 409]);
+
+  const stored = await fileStore(bookingsPath).read();
+  assert.equal(stored.length, 1);
+  assert.deepEqual(bookingsToBusyTimes(stored), [
+    { start: new Date('2026-10-27T13:00:00.000Z'), end: new Date('2026-10-27T13:30:00.000Z'), source: 'Bookings', location: '' }
+  ]);
+  fs.rmSync(dir, { recursive: true });
+});
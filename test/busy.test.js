@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { expandBusyTimes, checkEventCounts, loadBusyTimes } = require('../lib/busy');
+const { getBookingWindow } = require('../lib/time');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+const now = new Date('2026-10-26T12:00:00Z');
+const window = getBookingWindow(now, { weeks: 3, schoolYearEnd: '' });
+const rules = { tentative: 'busy', allDay: 'single-day', ownerEmails: ['coach@example.org'] };
+const source = (overrides) => ({ name: 'Test', block: true, allDayBusy: true, include: [], exclude: [], ...overrides });
+
+const starts = (busy) => busy.map(b => b.start.toISOString());
+
+test('recurring events honor EXDATE, moved exceptions and DST', () => {
+  const { busy } = expandBusyTimes(fixture('recurring.ics'), source(), rules, window, now);
+  assert.deepEqual(starts(busy), [
+    // Oct 28 is excluded; Nov 4 moved to 2 PM; Nov 11 is 10 AM EST
+    '2026-11-04T19:00:00.000Z',
+    '2026-11-11T15:00:00.000Z'
+  ]);
+});
+
+test('busy interpretation applies TRANSP, STATUS, PARTSTAT and all-day rules', () => {
+  const { busy, skipped, decisions } = expandBusyTimes(fixture('busy-rules.ics'), source(), rules, window, now);
+  const bySummary = Object.fromEntries(decisions.map(d => [d.summary, d]));
+
+  assert.equal(bySummary['Focus time'].reason, 'show as free');
+  assert.equal(bySummary['Cancelled visit'].reason, 'cancelled');
+  assert.equal(bySummary['Vendor demo'].reason, 'declined');
+  assert.equal(bySummary['State conference'].reason, 'multi-day all-day');
+  assert.equal(bySummary['Maybe lunch'].busy, true);
+  assert.equal(bySummary['PD day'].busy, true);
+  assert.equal(busy.length, 4);
+  assert.equal(skipped.cancelled, 1);
+});
+
+test('tentative and all-day policies can free time', () => {
+  const relaxed = { ...rules, tentative: 'free', allDay: 'free' };
+  const { decisions } = expandBusyTimes(fixture('busy-rules.ics'), source(), relaxed, window, now);
+  const busySummaries = decisions.filter(d => d.busy).map(d => d.summary).sort();
+  assert.deepEqual(busySummaries, ['Optional social', 'Principal meeting']);
+});
+
+test('per-source keyword and all-day rules filter events', () => {
+  const { decisions } = expandBusyTimes(fixture('busy-rules.ics'), source({ allDayBusy: false, exclude: ['optional'] }), rules, window, now);
+  const busySummaries = decisions.filter(d => d.busy).map(d => d.summary).sort();
+  assert.deepEqual(busySummaries, ['Maybe lunch', 'Principal meeting']);
+
+  const onlyMeetings = expandBusyTimes(fixture('busy-rules.ics'), source({ include: ['meeting'] }), rules, window, now);
+  assert.deepEqual(onlyMeetings.decisions.filter(d => d.busy).map(d => d.summary), ['Principal meeting']);
+});
+
+test('loadBusyTimes merges sources and reports failures', async () => {
+  const files = { a: fixture('recurring.ics'), b: fixture('busy-rules.ics') };
+  const readIcs = async (s) => {
+    if (!files[s.name]) throw new Error('HTTP 404 Not Found');
+    return files[s.name];
+  };
+  const sources = [source({ name: 'a' }), source({ name: 'b' }), source({ name: 'c', block: false }), source({ name: 'd' })];
+  const { busyTimes, reports } = await loadBusyTimes(sources, rules, window, now, { readIcs });
+
+  assert.equal(busyTimes.length, 6);
+  assert.ok(busyTimes.every((b, i) => i === 0 || busyTimes[i - 1].start <= b.start));
+  assert.deepEqual(reports.map(r => r.status.split(' ')[0]), ['2', '8', 'skipped', 'FAILED:']);
+  assert.equal(reports[3].failed, true);
+});
+
+test('checkEventCounts fails sources whose events collapsed since the last run', () => {
+  const reports = [
+    { name: 'a', status: '3 events', eventCount: 3 },
+    { name: 'b', status: '12 events', eventCount: 12 },
+    { name: 'c', status: '4 events', eventCount: 4 },
+    { name: 'd', status: 'FAILED: HTTP 404 Not Found', failed: true }
+  ];
+  const previous = [{ name: 'a', eventCount: 40 }, { name: 'b', eventCount: 20 }, { name: 'c', eventCount: 6 }];
+  checkEventCounts(reports, previous);
+  assert.deepEqual(reports.map(r => !!r.failed), [true, false, false, true]);
+  assert.match(reports[0].status, /^FAILED: event count dropped from 40 to 3/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { capacityUsage, capacityLimitReached, applyCapacity } = require('../lib/capacity');
+
+// Tue Oct 27 and Thu Oct 29 2026 (same week), Tue Nov 3 (next week)
+const booking = (start, minutes, status = 'booked') => ({
+  status,
+  start: new Date(start).toISOString(),
+  end: new Date(new Date(start).getTime() + minutes * 60000).toISOString()
+});
+const bookings = [
+  booking('2026-10-27T13:00:00Z', 60),
+  booking('2026-10-27T15:00:00Z', 30),
+  booking('2026-10-29T13:00:00Z', 90),
+  booking('2026-10-29T18:00:00Z', 90, 'cancelled')
+];
+
+test('capacityUsage totals sessions and minutes per day and week', () => {
+  const usage = capacityUsage(bookings);
+  assert.deepEqual(usage.days.get('2026-10-27'), { sessions: 2, minutes: 90 });
+  assert.deepEqual(usage.days.get('2026-10-29'), { sessions: 1, minutes: 90 });
+  assert.deepEqual(usage.weeks.get('2026-10-26'), { sessions: 3, minutes: 180 });
+});
+
+test('capacityLimitReached checks each limit', () => {
+  const usage = capacityUsage(bookings);
+  assert.equal(capacityLimitReached({}, usage, '2026-10-27', '2026-10-26', 90), null);
+  assert.equal(capacityLimitReached({ maxSessionsPerDay: 2 }, usage, '2026-10-27', '2026-10-26', 15), 'day');
+  assert.equal(capacityLimitReached({ maxMinutesPerDay: 120 }, usage, '2026-10-27', '2026-10-26', 30), null);
+  assert.equal(capacityLimitReached({ maxMinutesPerDay: 120 }, usage, '2026-10-27', '2026-10-26', 60), 'day');
+  assert.equal(capacityLimitReached({ maxSessionsPerWeek: 3 }, usage, '2026-10-30', '2026-10-26', 15), 'week');
+  assert.equal(capacityLimitReached({ maxMinutesPerWeek: 200 }, usage, '2026-11-03', '2026-11-02', 60), null);
+});
+
+test('applyCapacity drops slots of every type that no longer fit', () => {
+  const slot = (dateKey, weekKey, minutes) => ({
+    dateKey, weekKey, start: new Date(0), end: new Date(minutes * 60000)
+  });
+  const allSlots = {
+    short: [slot('2026-10-27', '2026-10-26', 15), slot('2026-10-28', '2026-10-26', 15)],
+    long: [slot('2026-10-27', '2026-10-26', 90), slot('2026-10-28', '2026-10-26', 90), slot('2026-11-03', '2026-11-02', 90)]
+  };
+  const result = applyCapacity(allSlots, { maxMinutesPerDay: 120, maxMinutesPerWeek: 300 }, bookings);
+  assert.deepEqual(result.short.map(s => s.dateKey), ['2026-10-27', '2026-10-28']);
+  assert.deepEqual(result.long.map(s => s.dateKey), ['2026-10-28', '2026-11-03']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate } = require('../generate');
+const { loadCoaches, validateCoaches } = require('../lib/config');
+const { coachPaths, coachFiles, requestCoach, coachEnv } = require('../lib/coaches');
+const { buildDirectoryHTML } = require('../lib/render');
+
+const coachesPath = path.join(__dirname, 'fixtures', 'coaches.json');
+const horizon = { weeks: 3, schoolYearEnd: '' };
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+
+test('loadCoaches loads each coach config with its id', () => {
+  const directory = loadCoaches(coachesPath);
+  assert.equal(directory.title, 'District Coaching');
+  assert.deepEqual(directory.coaches.map(c => c.id), ['fraser', 'lee']);
+  // A config without a "coach" keeps the original single coach's details
+  assert.deepEqual(directory.coaches[0].config.coach, {
+    name: 'Josh', email: 'jfraser@bccs286.org', badge: 'BCCS Leadership', brand: 'BCCS Playbook Support',
+    tagline: 'Helping BCCS leaders move the Playbook forward, one session at a time.', id: 'fraser'
+  });
+  assert.equal(directory.coaches[1].config.coach.name, 'Sam Lee');
+  assert.equal(loadCoaches(path.join(__dirname, 'fixtures', 'no-coaches.json')), null);
+});
+
+test('coaches.json is checked before any page is built', () => {
+  assert.deepEqual(validateCoaches({ coaches: [{ id: 'api', config: 'a.json' }, { id: 'Lee', config: 'b.json' }, { id: 'x' }], theme: 'dark' }), [
+    'coaches[0] (api).id "api" is the name of one of the repo\'s own folders',
+    'coaches[1] (Lee).id must look like lowercase-with-dashes, got "Lee"',
+    'coaches[2] (x).config is required',
+    'theme is not a known top-level setting'
+  ]);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coaches-'));
+  const copied = path.join(dir, 'coaches.json');
+  fs.writeFileSync(copied, JSON.stringify({ coaches: [
+    { id: 'fraser', config: path.join(__dirname, 'fixtures', 'config.json') },
+    { id: 'copy', config: path.join(__dirname, 'fixtures', 'config.json') }
+  ] }));
+  assert.throws(() => loadCoaches(copied), (err) => {
+    assert.match(err.message, /coaches\[1\] \(copy\) has the same coach email as fraser/);
+    assert.match(err.message, /coaches\[1\] \(copy\) reads the same calendars as fraser/);
+    return true;
+  });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('each coach publishes in their own folder and keeps their own records', () => {
+  const root = path.join(os.tmpdir(), 'site');
+  assert.deepEqual(coachPaths('lee', root), {
+    dir: path.join(root, 'lee'),
+    availabilityPath: path.join(root, 'lee', 'availability.json'),
+    bookingsPath: path.join(root, 'data', 'lee', 'bookings.jsonl'),
+    requestsPath: path.join(root, 'data', 'lee', 'requests.jsonl'),
+    statusPath: path.join(root, 'data', 'lee', 'status.json')
+  });
+  assert.equal(coachFiles('lee', coachesPath).dir, path.join(__dirname, '..', 'lee'));
+  assert.equal(coachFiles('../lee', coachesPath), null);
+  assert.equal(coachFiles(undefined, coachesPath), null);
+});
+
+test('an API request without a coach is for the one coach in config.json', () => {
+  const env = { BOOKINGS_PATH: '/srv/bookings.jsonl' };
+  assert.deepEqual(requestCoach(undefined, { env, coachesPath }), {
+    coachId: null, availabilityPath: undefined, bookingsPath: '/srv/bookings.jsonl', requestsPath: undefined, statusPath: undefined
+  });
+  assert.equal(requestCoach(null, { env, coachesPath }).bookingsPath, '/srv/bookings.jsonl');
+  assert.equal(requestCoach('lee', { env, coachesPath }).coachId, 'lee');
+  assert.equal(requestCoach('lee', { env, coachesPath }).bookingsPath, coachFiles('lee', coachesPath).bookingsPath);
+  assert.equal(requestCoach('nobody', { env, coachesPath }), null);
+});
+
+test('each coach reads their own calendar URLs from COACH_CALENDARS', () => {
+  const env = {
+    ICAL_URL: 'https://calendar.example/shared.ics',
+    DISTRICT_ICAL_URL: 'https://calendar.example/district.ics',
+    COACH_CALENDARS: JSON.stringify({ fraser: { ICAL_URL: 'https://calendar.example/fraser.ics' }, lee: { ICAL_URL: 'https://calendar.example/lee.ics' } })
+  };
+  assert.equal(coachEnv('fraser', env).ICAL_URL, 'https://calendar.example/fraser.ics');
+  assert.equal(coachEnv('lee', env).ICAL_URL, 'https://calendar.example/lee.ics');
+  assert.equal(coachEnv('lee', env).DISTRICT_ICAL_URL, 'https://calendar.example/district.ics');
+  assert.equal(coachEnv('new', env).ICAL_URL, 'https://calendar.example/shared.ics');
+  assert.equal(coachEnv('lee', { ICAL_URL: 'x' }).ICAL_URL, 'x');
+  assert.throws(() => coachEnv('lee', { COACH_CALENDARS: '{lee:' }), /COACH_CALENDARS is not valid JSON/);
+  assert.throws(() => coachEnv('lee', { COACH_CALENDARS: '{"lee":"https://x"}' }), /COACH_CALENDARS\.lee must map variable names to calendar URLs/);
+
+  // So two coaches' configs can both read ICAL_URL
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coaches-'));
+  const lee = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'coach-lee.json'), 'utf8'));
+  for (const id of ['fraser', 'lee']) {
+    const config = { ...lee, coach: { name: id, email: `${id}@bccs286.org` }, sources: [{ name: 'Calendar', urlEnv: 'ICAL_URL' }] };
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(config));
+  }
+  fs.writeFileSync(path.join(dir, 'coaches.json'), JSON.stringify({ coaches: [{ id: 'fraser', config: 'fraser.json' }, { id: 'lee', config: 'lee.json' }] }));
+  assert.deepEqual(loadCoaches(path.join(dir, 'coaches.json')).coaches.map(c => c.id), ['fraser', 'lee']);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('a coach page carries their contact and branding', async () => {
+  const { config } = loadCoaches(coachesPath).coaches[1];
+  const { files } = await generate({ config, now, horizon });
+  const html = files['index.html'];
+  assert.match(html, /<title>BCCS Math Support Sessions<\/title>/);
+  assert.match(html, /<div class="badge">Math Coaching<\/div>/);
+  assert.match(html, /Sam Lee's calendar is on Eastern Time\./);
+  assert.match(html, /var coachEmail = "slee@bccs286.org";/);
+  assert.match(html, /var coachId = "lee";/);
+  assert.match(html, /<p>Planning better math lessons together\.<\/p>/);
+  assert.doesNotMatch(html, /Josh|jfraser/);
+  assert.match(files['open-slots.ics'], /UID:lee-planning-20261027T/);
+});
+
+test('the directory links to every coach', () => {
+  const directory = loadCoaches(coachesPath);
+  const html = buildDirectoryHTML(directory.title, directory.coaches);
+  assert.match(html, /<title>District Coaching<\/title>/);
+  assert.match(html, /<a class="coach-card" href="fraser\/">/);
+  assert.match(html, /<h3>Sam Lee<\/h3>\s*<p class="brand">BCCS Math Support<\/p>\s*<p>Planning Session \(45 min\)<\/p>/);
+  assert.match(html, /Book with Sam Lee/);
+});
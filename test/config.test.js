@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateConfig, loadConfig, formatDuration } = require('../lib/config');
+
+const validType = {
+  id: 'quick',
+  name: 'Quick',
+  duration: 15,
+  buffer: 5,
+  days: ['Mon'],
+  window: { start: '08:00', end: '09:00' },
+  maxPerDay: 2,
+  leadTimeHours: 4,
+  description: 'Quick.',
+  whenToChoose: 'When quick.'
+};
+
+test('the repo config.json is valid', () => {
+  const config = loadConfig(path.join(__dirname, '..', 'config.json'));
+  assert.ok(Object.keys(config.sessionTypes).length > 0);
+  assert.ok(config.sources.length > 0);
+  // Group sessions take guests but can still be booked alone
+  const guestQuestions = Object.values(config.sessionTypes).flatMap(type => type.questions).filter(q => q.type === 'emails');
+  assert.ok(guestQuestions.length > 0);
+  assert.ok(guestQuestions.every(q => !q.required));
+});
+
+test('loadConfig resolves source paths and fills defaults', () => {
+  const config = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+  assert.deepEqual(config.sessionTypes.long.days, [3]);
+  assert.equal(config.sessionTypes.long.durationLabel, '1.5 hours');
+  assert.equal(config.sources[0].path, path.join(__dirname, 'fixtures', 'recurring.ics'));
+  assert.equal(config.sources[0].block, true);
+  assert.deepEqual(config.sources[1].exclude, ['optional']);
+  assert.deepEqual(config.page, { staleAfterHours: 12 });
+});
+
+test('validateConfig explains what is wrong and where', () => {
+  const errors = validateConfig({
+    sessionTypes: [
+      { ...validType, days: ['Funday'] },
+      { ...validType, id: 'quick', window: { start: '9:00', end: '10:00' } },
+      { ...validType, id: 'long', duration: 120 },
+      { ...validType, id: 'extra', colour: 'red' }
+    ],
+    sources: [{ name: 'Both', url: 'https://example.org/a.ics', path: 'a.ics' }],
+    busyRules: { tentative: 'maybe' },
+    capacity: { maxMinutesPerDay: 0 }
+  });
+  assert.deepEqual(errors, [
+    'sessionTypes[0] (quick).days has unknown weekday "Funday" (use Sun, Mon, Tue, Wed, Thu, Fri, Sat)',
+    'sessionTypes[1] (quick).window.start must be "HH:MM" (24-hour), got "9:00"',
+    'sessionTypes[1] (quick).id "quick" is used more than once',
+    'sessionTypes[2] (long).window is shorter than its 120-minute duration',
+    'sessionTypes[3] (extra).colour is not a known setting',
+    'sources[0] (Both) must set exactly one of url, urlEnv or path',
+    'busyRules.tentative must be one of "busy", "free", got "maybe"',
+    'capacity.maxMinutesPerDay must be at least 1'
+  ]);
+});
+
+test('validateConfig checks school calendar dates and windows', () => {
+  const errors = validateConfig({
+    sessionTypes: [validType],
+    schoolCalendar: {
+      blackouts: [
+        { name: 'Break', start: '2026-12-21', end: '2026-12-18' },
+        { name: 'Break', start: '2026-02-30', end: '2026-03-01' }
+      ],
+      overrides: [{ name: 'Half Day', date: '2026-12-18', window: { start: '11:00', end: '08:00' } }],
+      import: { include: ['no school'] }
+    }
+  });
+  assert.deepEqual(errors, [
+    'schoolCalendar.blackouts[0] (Break).end must not be before schoolCalendar.blackouts[0] (Break).start',
+    'schoolCalendar.blackouts[1] (Break).start must be a date like "2026-12-21", got "2026-02-30"',
+    'schoolCalendar.overrides[0] (Half Day).window.end must be after schoolCalendar.overrides[0] (Half Day).window.start',
+    'schoolCalendar.import.path is required'
+  ]);
+});
+
+test('validateConfig rejects an override that would lengthen the day', () => {
+  const override = (start, end) => ({ name: 'Conference Night', date: '2026-11-05', window: { start, end } });
+  const check = (overrides, businessHours) => validateConfig({ sessionTypes: [validType], schoolCalendar: { overrides }, businessHours });
+  assert.deepEqual(check([override('08:00', '12:00'), override('07:30', '18:00')]), [
+    'schoolCalendar.overrides[1] (Conference Night).window 07:30-18:00 runs outside businessHours 08:00-16:00; an override can only shorten the day'
+  ]);
+  assert.deepEqual(check([override('07:30', '18:00')], { window: { start: '07:00', end: '19:00' } }), []);
+});
+
+test('validateConfig checks placement settings', () => {
+  const errors = validateConfig({
+    sessionTypes: [
+      { ...validType, placement: 'anchors' },
+      { ...validType, id: 'b', placement: 'middle', step: 2 },
+      { ...validType, id: 'c', anchors: ['09:00'] },
+      { ...validType, id: 'd', placement: 'anchors', anchors: ['9am'] }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'sessionTypes[0] (quick).anchors is required when placement is "anchors"',
+    'sessionTypes[1] (b).placement must be one of "earliest", "spread", "anchors", "aligned", got "middle"',
+    'sessionTypes[1] (b).step must be at least 5',
+    'sessionTypes[2] (c).anchors only applies when placement is "anchors"',
+    'sessionTypes[3] (d).anchors has "9am", which is not "HH:MM" (24-hour)'
+  ]);
+  const { sessionTypes } = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+  assert.equal(sessionTypes.short.placement, 'earliest');
+  assert.equal(sessionTypes.short.step, 15);
+});
+
+test('validateConfig takes lead time in exactly one unit', () => {
+  const { leadTimeHours, ...noLeadTime } = validType;
+  const errors = validateConfig({
+    sessionTypes: [
+      { ...validType, leadTimeBusinessDays: 2 },
+      { ...noLeadTime, id: 'b' },
+      { ...noLeadTime, id: 'c', leadTimeBusinessDays: 1.5 }
+    ],
+    businessHours: { days: ['Mon'], window: { start: '16:00', end: '08:00' } }
+  });
+  assert.deepEqual(errors, [
+    'sessionTypes[0] (quick) must set exactly one of leadTimeHours, leadTimeBusinessHours or leadTimeBusinessDays',
+    'sessionTypes[1] (b) must set exactly one of leadTimeHours, leadTimeBusinessHours or leadTimeBusinessDays',
+    'sessionTypes[2] (c).leadTimeBusinessDays must be a whole number',
+    'businessHours.window.end must be after businessHours.window.start'
+  ]);
+  const config = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+  assert.deepEqual(config.sessionTypes.long.leadTime, { amount: 48, unit: 'hours' });
+  assert.deepEqual(config.businessHours, { days: [1, 2, 3, 4, 5], window: { start: { hour: 8, minute: 0 }, end: { hour: 16, minute: 0 } } });
+});
+
+test('validateConfig checks intake questions', () => {
+  const errors = validateConfig({
+    sessionTypes: [
+      { ...validType, questions: [{ id: 'school', label: 'School', type: 'text' }] },
+      { ...validType, id: 'b', seats: 4, questions: [{ id: 'focus', label: 'Focus', type: 'select' }, { id: 'team', label: 'Team', type: 'emails', options: ['x'] }] }
+    ],
+    intake: { questions: [{ id: 'school', label: 'School', type: 'text' }, { id: 'grade', label: 'Grade', type: 'number' }] }
+  });
+  assert.deepEqual(errors, [
+    'sessionTypes[0] (quick).questions has "school", which is already an intake question',
+    'sessionTypes[1] (b).questions[0] (focus).options is required when type is "select"',
+    'sessionTypes[1] (b).questions[1] (team).options only applies when type is "select"',
+    'intake.questions[1] (grade).type must be one of "text", "select", "emails", got "number"'
+  ]);
+  const { sessionTypes } = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+  assert.deepEqual(sessionTypes.short.questions.map(q => q.id), ['school']);
+  assert.deepEqual(sessionTypes.long.questions.map(q => q.id), ['school', 'focus', 'team']);
+  assert.deepEqual(sessionTypes.long.questions[1], { id: 'focus', label: 'Focus', type: 'select', required: false, options: ['Planning', 'Data'], placeholder: '' });
+});
+
+test('validateConfig checks group session settings', () => {
+  const team = [{ id: 'team', label: 'Team', type: 'emails' }];
+  const errors = validateConfig({
+    sessionTypes: [
+      { ...validType, joinable: true },
+      { ...validType, id: 'b', questions: team },
+      { ...validType, id: 'c', seats: 1 }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'sessionTypes[0] (quick).seats is required when joinable is true',
+    'sessionTypes[1] (b).seats is required to invite the people on an "emails" question',
+    'sessionTypes[2] (c).seats must be at least 2'
+  ]);
+  const { sessionTypes } = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+  assert.equal(sessionTypes.short.seats, 1);
+  assert.equal(sessionTypes.long.seats, 4);
+  assert.equal(sessionTypes.long.joinable, false);
+});
+
+test('validateConfig checks booking window settings', () => {
+  const errors = validateConfig({
+    sessionTypes: [validType],
+    bookingWindows: { keywords: 'Booking Window', types: ['quick', 'slow'] }
+  });
+  assert.deepEqual(errors, [
+    'bookingWindows.keywords must be a list of non-empty strings',
+    'bookingWindows.types has "slow", which is not a session type id'
+  ]);
+  assert.equal(loadConfig(path.join(__dirname, 'fixtures', 'config.json')).bookingWindows, null);
+});
+
+test('validateConfig checks the coach block', () => {
+  const errors = validateConfig({ sessionTypes: [validType], coach: { name: 'Sam', email: 'sam at school', color: 'red' } });
+  assert.deepEqual(errors, [
+    'coach.email must look like an email address, got "sam at school"',
+    'coach.color is not a known setting'
+  ]);
+  assert.deepEqual(validateConfig({ sessionTypes: [validType], coach: { email: 'sam@school.org' } }), ['coach.name is required']);
+});
+
+test('validateConfig requires session types', () => {
+  assert.deepEqual(validateConfig({}), ['config must have a "sessionTypes" array']);
+  assert.deepEqual(validateConfig({ sessionTypes: [{ id: 'x' }] }).slice(0, 2), [
+    'sessionTypes[0] (x).name is required',
+    'sessionTypes[0] (x).duration is required'
+  ]);
+});
+
+test('formatDuration labels minutes and hours', () => {
+  assert.equal(formatDuration(15), '15 min');
+  assert.equal(formatDuration(60), '1 hour');
+  assert.equal(formatDuration(90), '1.5 hours');
+  assert.equal(formatDuration(120), '2 hours');
+});
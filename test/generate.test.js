@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generate, refreshCoach } = require('../generate');
+const { loadConfig } = require('../lib/config');
+const { markRefreshFailed } = require('../lib/render');
+const { fileStore } = require('../lib/store');
+
+const config = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+const horizon = { weeks: 3, schoolYearEnd: '' };
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+
+test('generate builds the page and feeds from fixture calendars', async () => {
+  const result = await generate({ config, now, horizon });
+
+  const longDates = result.allSlots.long.map(s => s.dateKey);
+  // Oct 28's 10 AM meeting is excluded, so the long session opens at 9 AM;
+  // Nov 11 is closed by the imported school calendar
+  assert.deepEqual(longDates, ['2026-10-28', '2026-11-04']);
+  assert.equal(result.allSlots.long[0].label, '9:00 AM');
+
+  // Multi-day conference is ignored, single-day PD day blocks Nov 6
+  const shortDates = new Set(result.allSlots.short.map(s => s.dateKey));
+  assert.ok(shortDates.has('2026-11-02'));
+  assert.ok(!shortDates.has('2026-11-06'));
+
+  // Blackouts from config and the imported calendar, and the half day
+  for (const closed of ['2026-10-29', '2026-10-30', '2026-11-11', '2026-11-12', '2026-11-13']) {
+    assert.ok(!shortDates.has(closed), closed);
+  }
+  const halfDay = result.allSlots.short.filter(s => s.dateKey === '2026-11-03').map(s => s.label);
+  assert.deepEqual(halfDay, ['9:00 AM', '9:15 AM', '9:30 AM']);
+
+  const html = result.files['index.html'];
+  assert.match(html, /data-target="short"/);
+  assert.match(html, /activateTab\('short'\)/);
+  assert.match(html, /Booking is open up to 3 weeks ahead, through Sunday, November 15\./);
+  assert.match(html, /Thursday, October 29<\/h4><p class="day-notice closed">No sessions — Fall Break<\/p>/);
+  assert.match(html, /Wednesday, November 11<\/h4><p class="day-notice closed">No sessions — No School - Veterans Day<\/p>/);
+  assert.match(html, /<option value="America\/New_York" selected>Eastern Time<\/option>/);
+  assert.match(html, /data-calendar="office365"/);
+  assert.match(html, /id="freshness" data-stale-after-hours="12"/);
+  assert.doesNotMatch(html, /2026-10-26T12:00/);
+  // The long session's 48-hour lead time ends two days before it starts
+  assert.match(html, /data-slot="2026-10-28T13:00:00.000Z" data-slot-end="2026-10-28T14:30:00.000Z" data-bookable-until="2026-10-26T13:00:00.000Z"/);
+  assert.match(html, /Josh's calendar is on Eastern Time\./);
+  assert.match(html, /<div class="intake" data-type="long" style="display:none;">/);
+  assert.match(html, /<div class="week-group" data-week="2026-11-02">/);
+  assert.match(html, /<select id="fieldRepeatWeeks"/);
+  assert.match(html, /None of these times work\? <button type="button" class="request-btn" data-type="long" data-name="Long Session">Request a time<\/button>/);
+  assert.match(html, /<input type="checkbox" id="timeMidday" data-time-of-day="midday">/);
+  assert.match(html, /<input type="text" id="q-long-team" data-question="team" data-kind="emails" data-label="Team members" data-required/);
+  assert.match(html, /<select id="q-long-focus"[^>]*><option value="">Choose one<\/option><option>Planning<\/option>/);
+  assert.match(html, /Tuesday, November 3<\/h4><p class="day-notice">Shortened hours — Half Day<\/p>/);
+
+  const availability = JSON.parse(result.files['availability.json']);
+  assert.equal(availability.generatedAt, now.toISOString());
+  assert.equal(availability.sessionTypes.long.slotCount, 2);
+  assert.deepEqual(availability.dayRules.find(r => r.date === '2026-11-03'),
+    { date: '2026-11-03', name: 'Half Day', closed: false, window: { start: '09:00', end: '10:00' } });
+  assert.match(result.files['open-slots.ics'], /UID:long-20261028T130000Z@bccs-playbook-booking/);
+
+  // The utilization report: Nov 6's PD day left no short slots
+  assert.deepEqual(result.report.weeks[1].types.short.fullDays, ['Friday, November 6']);
+  assert.match(result.files['admin.html'], /<meta name="robots" content="noindex, nofollow">/);
+  assert.doesNotMatch(html, /admin\.html/);
+});
+
+test('generate fits the long session around busy time on open days', async () => {
+  // Without the imported school calendar Nov 11 stays open
+  const withoutImport = { ...config, schoolCalendar: { ...config.schoolCalendar, import: null } };
+  const result = await generate({ config: withoutImport, now, horizon });
+
+  const longDates = result.allSlots.long.map(s => s.dateKey);
+  assert.deepEqual(longDates, ['2026-10-28', '2026-11-04', '2026-11-11']);
+  // Nov 11's 10 AM meeting pushes the 90-minute slot to 11 AM
+  assert.equal(result.allSlots.long[2].label, '11:00 AM');
+});
+
+test('generate hides slots taken by bookings', async () => {
+  const bookings = [{ status: 'booked', start: '2026-10-28T13:00:00.000Z', end: '2026-10-28T14:30:00.000Z' }];
+  const result = await generate({ config, now, horizon, bookings });
+  assert.equal(result.allSlots.long[0].dateKey, '2026-10-28');
+  assert.equal(result.allSlots.long[0].label, '10:30 AM');
+  assert.ok(!result.allSlots.short.some(s => s.start < new Date('2026-10-28T14:45:00.000Z') && s.end > new Date('2026-10-28T12:45:00.000Z')));
+});
+
+test('generate refuses to publish when a source fails', async () => {
+  const readIcs = async () => { throw new Error('HTTP 500 Internal Server Error'); };
+  await assert.rejects(generate({ config, now, horizon, readIcs }), (err) => {
+    assert.match(err.message, /not updating availability/);
+    assert.equal(err.reports.length, 2);
+    return true;
+  });
+});
+
+test('generate treats a collapsed event count as a failed source', async () => {
+  const first = await generate({ config, now, horizon });
+  const previous = JSON.parse(first.files['availability.json']);
+  assert.deepEqual(previous.sources.map(s => s.eventCount), [2, 8]);
+  previous.sources[1].eventCount = 30;
+  await assert.rejects(generate({ config, now, horizon, previous }), (err) => {
+    assert.match(err.reports[1].status, /event count dropped from 30 to 8/);
+    return true;
+  });
+});
+
+test('generate reopens a booked joinable session with its seats left', async () => {
+  const joinable = { ...config, sessionTypes: { ...config.sessionTypes, long: { ...config.sessionTypes.long, joinable: true } } };
+  const bookings = [{ status: 'booked', type: 'long', seats: 3, start: '2026-11-04T14:00:00.000Z', end: '2026-11-04T15:30:00.000Z' }];
+  const result = await generate({ config: joinable, now, horizon, bookings });
+  const session = result.allSlots.long.find(s => s.start.toISOString() === '2026-11-04T14:00:00.000Z');
+  assert.equal(session.seatsLeft, 1);
+  assert.match(result.files['index.html'], /data-seats="4" data-seats-left="1" data-joinable[^>]*>9:00 AM<span class="seats">1 of 4 seats left<\/span>/);
+  // Other types can't use the coach's time
+  assert.ok(!result.allSlots.short.some(s => s.dateKey === '2026-11-04' && s.label === '9:00 AM'));
+});
+
+test('markRefreshFailed adds one banner to the last good page', async () => {
+  const { files } = await generate({ config, now, horizon });
+  const flagged = markRefreshFailed(files['index.html'], now, config.coach);
+  assert.match(flagged, /unable to refresh availability \(since Monday, October 26 at 8:00 AM\)/);
+  assert.equal(markRefreshFailed(flagged, new Date('2026-10-27T12:00:00Z'), config.coach), flagged);
+});
+
+test('refreshCoach takes the banner down once a refresh succeeds again', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-'));
+  const coach = { config, dir, bookings: [], requests: fileStore(path.join(dir, 'requests.jsonl')), status: fileStore(path.join(dir, 'status.json')) };
+  const pagePath = path.join(dir, 'index.html');
+
+  assert.equal(await refreshCoach(coach, { horizon, now }), true);
+  const published = fs.readFileSync(pagePath, 'utf8');
+
+  const readIcs = async () => { throw new Error('HTTP 503 Service Unavailable'); };
+  assert.equal(await refreshCoach(coach, { horizon, readIcs, now }), false);
+  assert.match(fs.readFileSync(pagePath, 'utf8'), /unable to refresh availability/);
+
+  // The calendars are back with nothing new, so only the banner changes
+  assert.equal(await refreshCoach(coach, { horizon, now }), true);
+  assert.equal(fs.readFileSync(pagePath, 'utf8'), published);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('refreshCoach records every check in the status store, not the published files', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-'));
+  const status = fileStore(path.join(dir, 'data', 'status.json'));
+  const coach = { config, dir, bookings: [], requests: fileStore(path.join(dir, 'data', 'requests.jsonl')), status };
+
+  await refreshCoach(coach, { horizon, now });
+  const published = fs.readdirSync(dir).filter(file => file !== 'data').sort();
+  assert.deepEqual(published, ['admin.html', 'availability.json', 'index.html', 'open-slots.ics']);
+  const { contentHash } = await status.get();
+
+  // A later run with nothing new changes no published file, so there's
+  // nothing to commit, but the check is still recorded
+  const stat = fs.statSync(path.join(dir, 'availability.json')).mtimeMs;
+  const later = new Date('2026-10-26T12:10:00Z');
+  await refreshCoach(coach, { horizon, now: later });
+  assert.equal(fs.statSync(path.join(dir, 'availability.json')).mtimeMs, stat);
+  assert.deepEqual(await status.get(), { checkedAt: later.toISOString(), changedAt: now.toISOString(), contentHash });
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('generate reports whether anything visitors see has changed', async () => {
+  const first = await generate({ config, now, horizon });
+  const previous = JSON.parse(first.files['availability.json']);
+  assert.equal(first.changed, true);
+  assert.match(previous.contentHash, /^[0-9a-f]{64}$/);
+
+  const later = await generate({ config, now: new Date('2026-10-26T12:10:00Z'), horizon, previous });
+  assert.equal(later.changed, false);
+  assert.equal(later.contentHash, previous.contentHash);
+
+  const booked = [{ status: 'booked', start: '2026-10-28T13:00:00.000Z', end: '2026-10-28T14:30:00.000Z' }];
+  assert.equal((await generate({ config, now, horizon, previous, bookings: booked })).changed, true);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyGroupSessions, seatsLeft } = require('../lib/group-sessions');
+const { capacityUsage } = require('../lib/capacity');
+const { getBookingWindow } = require('../lib/time');
+
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+const bookingWindow = getBookingWindow(now, { weeks: 2, schoolYearEnd: '' });
+const hours = { name: 'Office Hours', seats: 6, joinable: true, leadTime: { amount: 1, unit: 'hours' } };
+const booking = (start, seats, status = 'booked') => ({
+  status, type: 'hours', seats, start, end: new Date(new Date(start).getTime() + 3600000).toISOString()
+});
+const bookings = [
+  booking('2026-10-29T18:00:00.000Z', 3),
+  booking('2026-10-29T18:00:00.000Z', 1),
+  booking('2026-10-29T18:00:00.000Z', 2, 'cancelled'),
+  booking('2026-11-05T19:00:00.000Z', 6)
+];
+
+test('booked joinable sessions stay open until their seats are filled', () => {
+  const { hours: slots } = applyGroupSessions({ hours: [] }, { hours }, bookings, now, bookingWindow);
+  assert.deepEqual(slots.map(s => [s.start.toISOString(), s.seatsLeft, s.label]), [['2026-10-29T18:00:00.000Z', 2, '2:00 PM']]);
+  assert.equal(slots[0].dateKey, '2026-10-29');
+  assert.equal(seatsLeft(hours, bookings, 'hours', '2026-10-29T18:00:00.000Z'), 2);
+  assert.equal(seatsLeft(hours, bookings, 'hours', '2026-10-30T18:00:00.000Z'), null);
+
+  // Past its lead time, a session can't be joined
+  const late = applyGroupSessions({ hours: [] }, { hours }, bookings, new Date('2026-10-29T17:30:00Z'), bookingWindow);
+  assert.deepEqual(late.hours, []);
+});
+
+test('one group session counts once against the coach capacity', () => {
+  const usage = capacityUsage(bookings);
+  assert.deepEqual(usage.days.get('2026-10-29'), { sessions: 1, minutes: 60 });
+});
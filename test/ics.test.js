@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IcalExpander = require('ical-expander');
+const { filterIcsData, checkIcsData, fetchWithRetry, readSourceIcs } = require('../lib/ics');
+const { getBookingWindow } = require('../lib/time');
+
+const fixture = (name) => path.join(__dirname, 'fixtures', name);
+const window = getBookingWindow(new Date('2026-10-26T12:00:00Z'), { weeks: 4, schoolYearEnd: '' });
+
+test('filterIcsData keeps open-ended series and drops past events', () => {
+  const filtered = filterIcsData(fs.readFileSync(fixture('recurring.ics'), 'utf8'), window);
+  assert.match(filtered, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(filtered, /END:VCALENDAR$/);
+  assert.match(filtered, /BEGIN:VTIMEZONE/);
+  assert.match(filtered, /UID:weekly-leadership@test/);
+  assert.doesNotMatch(filtered, /ended-series@test/);
+  assert.doesNotMatch(filtered, /old-one-off@test/);
+});
+
+test('filterIcsData drops one-off events past the window end', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:inside', 'DTSTART:20261110T140000Z', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:after', 'DTSTART:20270110T140000Z', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const filtered = filterIcsData(ics, window);
+  assert.match(filtered, /UID:inside/);
+  assert.doesNotMatch(filtered, /UID:after/);
+});
+
+test('filterIcsData keeps an occurrence moved out of the window', () => {
+  // The Nov 3 meeting was moved to Dec 15, past the window end
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'UID:weekly@test', 'DTSTART:20261027T140000Z', 'DTEND:20261027T150000Z', 'RRULE:FREQ=WEEKLY', 'END:VEVENT',
+    'BEGIN:VEVENT', 'UID:weekly@test', 'RECURRENCE-ID:20261103T140000Z', 'DTSTART:20261215T140000Z', 'DTEND:20261215T150000Z', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+  const busyDates = (data) => {
+    const { events, occurrences } = new IcalExpander({ ics: data }).between(window.start, window.end);
+    return events.map(e => e.startDate).concat(occurrences.map(o => o.startDate)).map(d => d.toJSDate().toISOString().slice(0, 10)).sort();
+  };
+  const filtered = busyDates(filterIcsData(ics, window));
+  assert.ok(!filtered.includes('2026-11-03'));
+  assert.deepEqual(filtered, busyDates(ics));
+});
+
+test('readSourceIcs reads local files and reports a missing URL variable', async () => {
+  const text = await readSourceIcs({ path: fixture('busy-rules.ics') });
+  assert.match(text, /BEGIN:VCALENDAR/);
+  await assert.rejects(readSourceIcs({ urlEnv: 'NOT_SET_ICAL_URL' }, {}), /NOT_SET_ICAL_URL is not set/);
+});
+
+test('checkIcsData rejects empty, non-calendar and truncated data', () => {
+  assert.throws(() => checkIcsData(''), /calendar is empty/);
+  assert.throws(() => checkIcsData('<html>Sign in</html>'), /no BEGIN:VCALENDAR/);
+  assert.throws(() => checkIcsData('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:x'), /truncated/);
+  assert.doesNotThrow(() => checkIcsData('\uFEFFBEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n'));
+});
+
+test('fetchWithRetry backs off on server errors but not on client errors', async () => {
+  const waits = [];
+  const sleep = async (ms) => { waits.push(ms); };
+  const replies = (statuses) => {
+    const calls = [];
+    const fetchImpl = async (url) => {
+      const status = statuses[calls.length];
+      calls.push(url);
+      if (status === 'reset') throw new TypeError('fetch failed');
+      return { ok: status === 200, status, statusText: status === 200 ? 'OK' : 'Error', headers: new Headers(), text: async () => 'BEGIN:VCALENDAR' };
+    };
+    return { calls, fetchImpl };
+  };
+
+  const flaky = replies(['reset', 503, 200]);
+  assert.equal((await fetchWithRetry('https://cal.test/a.ics', { fetchImpl: flaky.fetchImpl, sleep, backoffMs: 100 })).text, 'BEGIN:VCALENDAR');
+  assert.equal(flaky.calls.length, 3);
+  assert.deepEqual(waits, [100, 200]);
+
+  const missing = replies([404]);
+  await assert.rejects(fetchWithRetry('https://cal.test/b.ics', { fetchImpl: missing.fetchImpl, sleep }), /^Error: HTTP 404 Error$/);
+  assert.equal(missing.calls.length, 1);
+
+  const down = replies([500, 500, 500]);
+  await assert.rejects(fetchWithRetry('https://cal.test/c.ics', { fetchImpl: down.fetchImpl, sleep }), /HTTP 500 Error \(after 3 attempts\)/);
+});
+
+test('readSourceIcs sends cached validators and reuses the copy on 304', async () => {
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ics-cache-'));
+  const body = fs.readFileSync(fixture('busy-rules.ics'), 'utf8');
+  const requests = [];
+  const fetchImpl = async (url, { headers }) => {
+    requests.push(headers);
+    if (headers['If-None-Match'] === '"v1"') return { ok: false, status: 304, headers: new Headers() };
+    return { ok: true, status: 200, headers: new Headers({ ETag: '"v1"', 'Last-Modified': 'Mon, 26 Oct 2026 11:00:00 GMT' }), text: async () => body };
+  };
+  const source = { urlEnv: 'COACH_ICS' };
+  const env = { COACH_ICS: 'webcal://cal.test/coach.ics?token=secret' };
+  let notModified = 0;
+  const options = { cacheDir, fetchImpl, onNotModified: () => notModified++ };
+
+  assert.equal(await readSourceIcs(source, env, options), body);
+  assert.equal(await readSourceIcs(source, env, options), body);
+  assert.deepEqual(requests, [{}, { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Mon, 26 Oct 2026 11:00:00 GMT' }]);
+  assert.equal(notModified, 1);
+  assert.ok(fs.readdirSync(cacheDir).every(name => !name.includes('secret')));
+  fs.rmSync(cacheDir, { recursive: true });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { leadTimeCutoff, bookableUntil, formatLeadTime } = require('../lib/lead-time');
+
+const businessHours = { days: [1, 2, 3, 4, 5], window: { start: { hour: 8, minute: 0 }, end: { hour: 16, minute: 0 } } };
+// Friday Oct 30 2026, 4:00 PM Eastern
+const friday = new Date('2026-10-30T20:00:00Z');
+
+test('clock hours count weekends', () => {
+  const cutoff = leadTimeCutoff({ amount: 24, unit: 'hours' }, friday, businessHours);
+  assert.equal(cutoff.toISOString(), '2026-10-31T20:00:00.000Z');
+});
+
+test('business hours count only working hours on working days', () => {
+  // Friday's hours are spent, so 8 business hours is all of Monday (after the DST change)
+  const cutoff = leadTimeCutoff({ amount: 8, unit: 'businessHours' }, friday, businessHours);
+  assert.equal(cutoff.toISOString(), '2026-11-02T21:00:00.000Z');
+  // 2 PM Friday plus 4 business hours: 2 on Friday, 2 on Monday
+  const early = leadTimeCutoff({ amount: 4, unit: 'businessHours' }, new Date('2026-10-30T18:00:00Z'), businessHours);
+  assert.equal(early.toISOString(), '2026-11-02T15:00:00.000Z');
+  assert.equal(bookableUntil({ amount: 4, unit: 'businessHours' }, early, businessHours).toISOString(), '2026-10-30T18:00:00.000Z');
+});
+
+test('business days skip weekends and closed days', () => {
+  const oneDay = { amount: 1, unit: 'businessDays' };
+  assert.equal(leadTimeCutoff(oneDay, friday, businessHours).toISOString(), '2026-11-02T21:00:00.000Z');
+  const dayRules = new Map([['2026-11-02', { name: 'PD Day', closed: true }]]);
+  assert.equal(leadTimeCutoff(oneDay, friday, businessHours, dayRules).toISOString(), '2026-11-03T21:00:00.000Z');
+  // From a Saturday the count starts Monday, so the first bookable day is Tuesday
+  assert.equal(leadTimeCutoff(oneDay, new Date('2026-10-31T15:00:00Z'), businessHours).toISOString(), '2026-11-03T05:00:00.000Z');
+});
+
+test('bookableUntil is the last moment the lead time allows', () => {
+  const twoDays = { amount: 2, unit: 'businessDays' };
+  // Tuesday 9 AM: bookable until Friday 9 AM
+  const tuesday = new Date('2026-11-03T14:00:00Z');
+  const until = bookableUntil(twoDays, tuesday, businessHours);
+  assert.equal(until.toISOString(), '2026-10-30T13:00:00.000Z');
+  assert.ok(leadTimeCutoff(twoDays, until, businessHours) <= tuesday);
+  assert.ok(leadTimeCutoff(twoDays, new Date(until.getTime() + 60000), businessHours) > tuesday);
+  assert.equal(bookableUntil({ amount: 3, unit: 'hours' }, tuesday).toISOString(), '2026-11-03T11:00:00.000Z');
+});
+
+test('formatLeadTime names the unit', () => {
+  assert.equal(formatLeadTime({ amount: 1, unit: 'hours' }), '1 hour');
+  assert.equal(formatLeadTime({ amount: 8, unit: 'businessHours' }), '8 business hours');
+  assert.equal(formatLeadTime({ amount: 2, unit: 'businessDays' }), '2 business days');
+});
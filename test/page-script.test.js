@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  slotLabel, describeSlot, dateKey, formatAge, expireDay, checkAge, addDays, planSeries, seriesRecurrence, calendarEvent, googleCalendarUrl, outlookUrl, buildIcsInvite, pageFunctionsSource
+} = require('../lib/page-script');
+
+const coachZone = 'America/New_York';
+
+test('slotLabel redraws a slot in the visitor zone through both DST changes', () => {
+  assert.deepEqual(slotLabel(new Date('2026-10-27T13:00:00Z'), 'America/Chicago', coachZone), { time: '8:00 AM', otherDay: '' });
+  // London left summer time on October 25, a week before New York does
+  assert.equal(slotLabel(new Date('2026-10-23T13:00:00Z'), 'Europe/London', coachZone).time, '2:00 PM');
+  assert.equal(slotLabel(new Date('2026-10-27T13:00:00Z'), 'Europe/London', coachZone).time, '1:00 PM');
+  assert.equal(slotLabel(new Date('2026-11-03T14:00:00Z'), 'Europe/London', coachZone).time, '2:00 PM');
+});
+
+test('slotLabel names the weekday of a slot that is another date locally', () => {
+  // 3 PM Tuesday in New York is 4 AM Wednesday in Tokyo
+  assert.deepEqual(slotLabel(new Date('2026-10-27T19:00:00Z'), 'Asia/Tokyo', coachZone), { time: '4:00 AM', otherDay: 'Wed' });
+  assert.equal(slotLabel(new Date('2026-10-27T13:00:00Z'), 'Asia/Tokyo', coachZone).otherDay, '');
+});
+
+test('describeSlot names the zone, standard or daylight', () => {
+  assert.equal(describeSlot('2026-10-27T13:00:00.000Z', 'America/Chicago'), 'Tuesday, October 27 at 8:00 AM CDT');
+  assert.equal(describeSlot('2026-11-03T14:00:00.000Z', 'America/Chicago'), 'Tuesday, November 3 at 8:00 AM CST');
+});
+
+test('dateKey is the coach\'s date up to their midnight, in daylight or standard time', () => {
+  assert.equal(dateKey(coachZone, new Date('2026-10-27T03:30:00Z')), '2026-10-26');
+  assert.equal(dateKey(coachZone, new Date('2026-10-27T04:00:00Z')), '2026-10-27');
+  assert.equal(dateKey(coachZone, new Date('2026-11-03T04:30:00Z')), '2026-11-02');
+  assert.equal(dateKey(coachZone, new Date('2026-11-03T05:00:00Z')), '2026-11-03');
+});
+
+test('expireDay drops slots past their lead time and the day once none are left', () => {
+  const now = Date.parse('2026-10-27T12:00:00Z');
+  const until = ['2026-10-27T11:00:00Z', '2026-10-27T12:00:00Z', '2026-10-27T15:00:00Z'];
+  assert.deepEqual(expireDay('2026-10-27', until, now, '2026-10-27'), { expired: [true, true, false], gone: false });
+  assert.deepEqual(expireDay('2026-10-27', until.slice(0, 2), now, '2026-10-27'), { expired: [true, true], gone: true });
+  // A labelled day with no slots stays until it has passed
+  assert.deepEqual(expireDay('2026-10-27', [], now, '2026-10-27'), { expired: [], gone: false });
+  assert.deepEqual(expireDay('2026-10-26', [], now, '2026-10-27'), { expired: [], gone: true });
+});
+
+test('checkAge says how old the last check is and when that is stale', () => {
+  const checkedAt = Date.parse('2026-10-26T12:00:00Z');
+  const at = (minutes) => checkAge(checkedAt, checkedAt + minutes * 60000, 6);
+  assert.deepEqual(at(0.5), { text: 'just now', stale: false });
+  assert.deepEqual(at(59), { text: '59m ago', stale: false });
+  assert.deepEqual(at(6 * 60), { text: '6h ago', stale: false });
+  assert.deepEqual(at(6 * 60 + 1), { text: '6h ago', stale: true });
+  assert.equal(formatAge(47 * 3600000), '47h ago');
+  assert.equal(formatAge(48 * 3600000), '2d ago');
+});
+
+// An open slot as the page hands it to planSeries, listed under its coach
+// date and that date's Monday
+const open = (start) => {
+  const date = dateKey(coachZone, new Date(start));
+  const monday = addDays(date, -((new Date(`${date}T12:00:00Z`).getUTCDay() + 6) % 7));
+  return { start, end: new Date(Date.parse(start) + 30 * 60000).toISOString(), date, week: monday };
+};
+
+test('planSeries keeps the coach\'s hour across DST, moves to the nearest time and skips empty weeks', () => {
+  // Tuesdays at 9 AM: EDT the first week, EST after November 1
+  const first = open('2026-10-27T13:00:00.000Z');
+  const nov3 = open('2026-11-03T14:00:00.000Z');
+  const nov10Early = open('2026-11-10T13:20:00.000Z');
+  const nov10Late = open('2026-11-10T14:30:00.000Z');
+  const nov12 = open('2026-11-12T14:00:00.000Z');
+  const plan = planSeries(first, 4, [first, open('2026-11-03T13:00:00.000Z'), nov3, nov10Early, nov10Late, nov12, open('2026-11-23T14:00:00.000Z')], coachZone);
+
+  assert.deepEqual(plan.map(entry => [entry.date, entry.usual, entry.slot && entry.slot.start, entry.conflict]), [
+    ['2026-10-27', '20261027T090000', first.start, false],
+    ['2026-11-03', '20261103T090000', nov3.start, false],
+    // 9:30 is nearer 9:00 EST than 8:20 is, though 8:20 is nearer two weeks of hours after 9:00 EDT
+    ['2026-11-10', '20261110T090000', nov10Late.start, true],
+    ['2026-11-17', '20261117T090000', null, true]
+  ]);
+  assert.deepEqual(plan[2].alternatives, [nov10Late, nov10Early, nov12]);
+  assert.deepEqual(plan[3].alternatives, []);
+
+  assert.deepEqual(seriesRecurrence(plan, coachZone, 'America/Chicago'), {
+    zone: coachZone,
+    count: 4,
+    start: '20261027T090000',
+    end: '20261027T093000',
+    exdates: ['20261110T090000', '20261117T090000'],
+    rdates: ['20261110T093000'],
+    sessions: ['Tuesday, October 27 at 8:00 AM CDT', 'Tuesday, November 3 at 8:00 AM CST', 'Tuesday, November 10 at 8:30 AM CST']
+  });
+});
+
+const slot = { slot: '2026-10-27T13:00:00.000Z', slotEnd: '2026-10-27T13:30:00.000Z', type: 'short', name: 'Short Session' };
+const coach = { name: 'Josh "Coach" Fraser', email: 'jfraser@bccs286.org', brand: 'Playbook Support' };
+const booked = (details, options) => calendarEvent(slot, { name: 'Pat Principal', email: 'pat@school.org', ...details },
+  { lines: ['School: Lincoln'], guests: ['sam@school.org'] }, { id: 'abc', coach, ...options });
+// The invite's lines with folded ones joined back up
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n');
+
+test('calendarEvent describes the session for every calendar', () => {
+  const event = booked({ notes: 'Bring the plan' });
+  assert.equal(event.title, 'Short Session: Playbook Support');
+  assert.equal(event.location, 'Zoom (link will be shared)');
+  assert.equal(event.description, 'School: Lincoln\n\nBring the plan\n\n---\nBooked via Playbook Support');
+  assert.deepEqual(event.organizer, { name: 'Josh "Coach" Fraser', email: 'jfraser@bccs286.org' });
+
+  const google = new URL(googleCalendarUrl(event, 'America/Chicago')).searchParams;
+  assert.equal(google.get('dates'), '20261027T130000Z/20261027T133000Z');
+  assert.equal(google.get('ctz'), 'America/Chicago');
+  assert.equal(google.get('add'), 'jfraser@bccs286.org,sam@school.org');
+  const outlook = new URL(outlookUrl(event, 'outlook.office.com'));
+  assert.equal(outlook.host, 'outlook.office.com');
+  assert.equal(outlook.searchParams.get('startdt'), '2026-10-27T13:00:00.000Z');
+  assert.equal(outlook.searchParams.get('to'), 'jfraser@bccs286.org,sam@school.org');
+});
+
+test('buildIcsInvite escapes text, quotes names and folds long lines', () => {
+  const event = booked({ name: 'Pat "P" Principal\r\n', notes: 'Budget, plan; C:\\docs\nand more', location: 'Room 4, North' });
+  const ics = buildIcsInvite(event, ['BEGIN:VTIMEZONE', 'END:VTIMEZONE'], new Date('2026-10-26T12:00:00Z'));
+  assert.ok(ics.endsWith('\r\n'));
+  assert.ok(ics.split('\r\n').every(line => line.length <= 75));
+  const lines = unfold(ics);
+  assert.ok(lines.includes('DTSTART:20261027T130000Z'));
+  assert.ok(lines.includes('DTSTAMP:20261026T120000Z'));
+  assert.ok(lines.includes('DESCRIPTION:School: Lincoln\\n\\nBudget\\, plan\\; C:\\\\docs\\nand more\\n\\n---\\nBooked via Playbook Support'));
+  assert.ok(lines.includes('LOCATION:Room 4\\, North'));
+  assert.ok(lines.includes('ORGANIZER;CN="Josh Coach Fraser":mailto:jfraser@bccs286.org'));
+  assert.ok(lines.includes('ATTENDEE;CN="Pat P Principal";ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:pat@school.org'));
+  assert.ok(lines.includes('ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION:mailto:sam@school.org'));
+  assert.ok(!lines.includes('BEGIN:VTIMEZONE'));
+});
+
+test('buildIcsInvite writes a series on the coach\'s clock', () => {
+  const recurrence = {
+    zone: coachZone, count: 3, start: '20261027T090000', end: '20261027T093000',
+    exdates: ['20261103T090000'], rdates: ['20261104T100000'], sessions: []
+  };
+  const lines = unfold(buildIcsInvite(booked({}, { recurrence }), ['BEGIN:VTIMEZONE', 'END:VTIMEZONE'], new Date()));
+  assert.deepEqual(lines.filter(line => /^(DTSTART|DTEND|RRULE|EXDATE|RDATE|BEGIN:VTIMEZONE)/.test(line)), [
+    'BEGIN:VTIMEZONE',
+    'DTSTART;TZID=America/New_York:20261027T090000',
+    'DTEND;TZID=America/New_York:20261027T093000',
+    'RRULE:FREQ=WEEKLY;COUNT=3',
+    'EXDATE;TZID=America/New_York:20261103T090000',
+    'RDATE;TZID=America/New_York:20261104T100000'
+  ]);
+});
+
+test('the page runs the same functions from their copied source', () => {
+  const inlined = new Function(`${pageFunctionsSource('    ')}\nreturn { slotLabel, describeSlot, icsText };`)();
+  assert.deepEqual(inlined.slotLabel(new Date('2026-10-27T19:00:00Z'), 'Asia/Tokyo', coachZone), { time: '4:00 AM', otherDay: 'Wed' });
+  assert.equal(inlined.describeSlot('2026-11-03T14:00:00.000Z', coachZone), describeSlot('2026-11-03T14:00:00.000Z', coachZone));
+  assert.equal(inlined.icsText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSlots } = require('../lib/slots');
+const { getBookingWindow } = require('../lib/time');
+const { buildReport, formatReport, buildAdminHTML } = require('../lib/report');
+
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+const bookingWindow = getBookingWindow(now, { weeks: 1, schoolYearEnd: '' });
+const businessHours = { days: [1, 2, 3, 4, 5], window: { start: { hour: 9, minute: 0 }, end: { hour: 11, minute: 0 } } };
+const sessionTypes = {
+  t: {
+    name: 'Test', duration: 30, buffer: 0, days: [1, 2, 3, 4, 5],
+    startHour: 9, startMin: 0, endHour: 10, endMin: 0,
+    maxPerDay: 10, leadTime: { amount: 0, unit: 'hours' }
+  }
+};
+
+// Tuesday 9-10 is taken whole, Wednesday 9-9:30
+const busyTimes = [
+  { start: new Date('2026-10-27T13:00:00Z'), end: new Date('2026-10-27T14:00:00Z') },
+  { start: new Date('2026-10-28T13:00:00Z'), end: new Date('2026-10-28T13:30:00Z') }
+];
+const allSlots = generateSlots(sessionTypes, busyTimes, bookingWindow, now, new Map(), businessHours);
+const bookings = [
+  { status: 'booked', type: 't', start: '2026-10-28T13:00:00.000Z', end: '2026-10-28T13:30:00.000Z' },
+  { status: 'booked', type: 't', start: '2026-10-28T13:00:00.000Z', end: '2026-10-28T13:30:00.000Z' },
+  { status: 'cancelled', type: 't', start: '2026-10-29T13:00:00.000Z', end: '2026-10-29T13:30:00.000Z' }
+];
+const report = buildReport({ sessionTypes, allSlots, busyTimes, bookings, bookingWindow, now, businessHours });
+
+test('buildReport totals busy, offered and booked time per week and type', () => {
+  assert.equal(report.weeks.length, 1);
+  const [week] = report.weeks;
+  assert.equal(week.weekLabel, 'Week of October 26');
+  assert.equal(week.workMinutes, 5 * 120);
+  assert.equal(week.busyMinutes, 90);
+  assert.deepEqual(week.types.t, {
+    openMinutes: 5 * 60,
+    busyMinutes: 90,
+    offered: 10,
+    offeredMinutes: 300,
+    // Two people in one session count once; cancelled ones not at all
+    booked: 1,
+    fullDays: ['Tuesday, October 27']
+  });
+});
+
+test('buildReport maps busy share and open slots by weekday and half hour', () => {
+  const { weekdays, rows } = report.heatmap;
+  assert.deepEqual(weekdays, ['Mon', 'Tue', 'Wed', 'Thu', 'Fri']);
+  assert.deepEqual(rows.map(r => r.label), ['9:00 AM', '9:30 AM', '10:00 AM', '10:30 AM']);
+  assert.deepEqual(rows[0].cells.map(c => c.busyShare), [0, 1, 1, 0, 0]);
+  assert.deepEqual(rows[0].cells.map(c => c.offered), [2, 0, 0, 2, 2]);
+  assert.deepEqual(rows[1].cells.map(c => c.offered), [1, 0, 1, 1, 1]);
+  assert.deepEqual(rows[2].cells.map(c => c.offered), [0, 0, 0, 0, 0]);
+});
+
+test('the report prints for the console and renders an unlisted page', () => {
+  const lines = formatReport(report, sessionTypes);
+  assert.equal(lines[0], 'Week of October 26: busy 1.5h of 10h working hours (15%)');
+  assert.equal(lines[1], '  Test: busy 1.5h of 5h, offered 10 slots (5h), booked 1; full on Tuesday, October 27');
+
+  const html = buildAdminHTML(report, sessionTypes);
+  assert.match(html, /<meta name="robots" content="noindex, nofollow">/);
+  assert.match(html, /<td>Test<\/td>\s*<td>1.5h of 5h \(30%\)<\/td>\s*<td>10 \(5h\)<\/td>\s*<td>1<\/td>\s*<td>Tuesday, October 27<\/td>/);
+  assert.match(html, /<th>9:00 AM<\/th><td style="[^"]*">0%<span class="offered">2 open<\/span><\/td><td style="[^"]*">100%/);
+});
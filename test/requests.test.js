@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { decideTimeRequest, createTimeRequest, setRequestStatus, matchRequests, describeMatches } = require('../lib/requests');
+const { fileStore } = require('../lib/store');
+
+const now = new Date('2026-10-26T12:00:00Z');
+const slot = (start) => ({ start, end: start.replace(/T(\d\d)/, (_, h) => `T${String(+h + 1).padStart(2, '0')}`), dateKey: start.slice(0, 10) });
+const availability = {
+  sessionTypes: {
+    short: {
+      name: 'Short Session',
+      questions: [{ id: 'school', label: 'School', type: 'text', required: true }],
+      // 9 AM, 11 AM and 2 PM Eastern
+      slots: [slot('2026-10-27T13:00:00.000Z'), slot('2026-10-28T15:00:00.000Z'), slot('2026-11-02T19:00:00.000Z')]
+    }
+  }
+};
+const body = (overrides) => ({
+  type: 'short', name: 'Pat Principal', email: 'Pat@School.org', answers: { school: 'Lincoln' },
+  dateFrom: '2026-10-27', dateTo: '2026-10-30', ...overrides
+});
+
+test('decideTimeRequest records an open request for any time of day by default', () => {
+  const result = decideTimeRequest(body({ notes: ' After lunch is best ' }), { availability, now });
+  assert.equal(result.status, 201);
+  const { request } = result.body;
+  assert.equal(request.status, 'open');
+  assert.equal(request.typeName, 'Short Session');
+  assert.equal(request.email, 'pat@school.org');
+  assert.equal(request.notes, 'After lunch is best');
+  assert.deepEqual(request.timesOfDay, ['morning', 'midday', 'afternoon']);
+  assert.deepEqual(request.answers, [{ id: 'school', label: 'School', value: 'Lincoln' }]);
+});
+
+test('decideTimeRequest rejects bad dates, times of day and answers', () => {
+  const decide = (overrides) => decideTimeRequest(body(overrides), { availability, now }).body.details;
+  assert.deepEqual(decide({ dateFrom: '2026-02-30', timesOfDay: ['evening'] }), [
+    'dateFrom must be a date like "2026-12-21"',
+    'timesOfDay must be a list of morning, midday, afternoon'
+  ]);
+  assert.deepEqual(decide({ dateFrom: '2026-10-30', dateTo: '2026-10-27' }), ['dateTo must not be before dateFrom']);
+  assert.deepEqual(decide({ dateFrom: '2026-10-01', dateTo: '2026-10-02' }), ['the date range has already passed']);
+  assert.deepEqual(decide({ dateTo: '2027-03-01' }), ['the date range must be under 90 days']);
+  assert.deepEqual(decide({ answers: {} }), ['School is required']);
+});
+
+test('matchRequests finds open requests the slots fit and flags newly freed ones', () => {
+  const requests = [
+    { ...decideTimeRequest(body({ timesOfDay: ['morning', 'afternoon'] }), { availability, now }).body.request, name: 'Pat' },
+    { ...decideTimeRequest(body({ dateFrom: '2026-11-02', dateTo: '2026-11-02', timesOfDay: ['morning'] }), { availability, now }).body.request },
+    { ...decideTimeRequest(body(), { availability, now }).body.request, status: 'closed' }
+  ];
+  const previous = { sessionTypes: { short: { slots: availability.sessionTypes.short.slots.slice(1) } } };
+
+  const matches = matchRequests(requests, availability, previous);
+  assert.equal(matches.length, 1);
+  assert.deepEqual(matches[0].slots.map(s => s.start), ['2026-10-27T13:00:00.000Z']);
+  assert.deepEqual(matches[0].fresh.map(s => s.start), ['2026-10-27T13:00:00.000Z']);
+  assert.match(describeMatches(matches).join('\n'), /^Pat <pat@school\.org> wants Short Session, 2026-10-27 to 2026-10-30, morning\/afternoon \[\w{8}\]\n {2}1 newly open: Tuesday, October 27 9:00 AM$/);
+
+  // Without a previous run nothing counts as newly freed
+  assert.deepEqual(matchRequests(requests, availability)[0].fresh, []);
+});
+
+test('decideTimeRequest validates its own fields without a start time', () => {
+  const details = decideTimeRequest({ dateFrom: '2026-10-27', dateTo: '2026-10-30', answers: [] }, { availability, now }).body.details;
+  assert.deepEqual(details, ['type is required', 'name is required', 'email must be a valid email address', 'answers must be an object']);
+});
+
+test('in-person requests are held at the building and matched against its slots', () => {
+  const sited = {
+    sites: [{ id: 'north', name: 'North Elementary' }],
+    sessionTypes: { short: { ...availability.sessionTypes.short, siteSlots: { north: availability.sessionTypes.short.slots.slice(1, 2) } } }
+  };
+  const { request } = decideTimeRequest(body({ site: 'north', location: 'Room 4' }), { availability: sited, now }).body;
+  assert.equal(request.site, 'north');
+  assert.equal(request.location, 'North Elementary');
+  assert.deepEqual(decideTimeRequest(body({ site: 'west' }), { availability: sited, now }).body.details,
+    ['Short Session sessions can\'t be held at "west"']);
+
+  // The 9 AM online slot doesn't fit; the 11 AM one at North does
+  const matches = matchRequests([request], sited, { sessionTypes: { short: { slots: sited.sessionTypes.short.siteSlots.north, siteSlots: { north: [] } } } });
+  assert.deepEqual(matches[0].slots.map(s => s.start), ['2026-10-28T15:00:00.000Z']);
+  assert.deepEqual(matches[0].fresh.map(s => s.start), ['2026-10-28T15:00:00.000Z']);
+  assert.match(describeMatches(matches)[0], /wants Short Session at North Elementary, /);
+});
+
+test('createTimeRequest appends to the store and setRequestStatus closes by id prefix', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'requests-'));
+  const availabilityPath = path.join(dir, 'availability.json');
+  const store = fileStore(path.join(dir, 'data', 'requests.jsonl'));
+  fs.writeFileSync(availabilityPath, JSON.stringify(availability));
+
+  const { request } = (await createTimeRequest(body(), { availabilityPath, store, now: () => now })).body;
+  assert.equal((await createTimeRequest(body({ type: 'other' }), { availabilityPath, store, now: () => now })).status, 400);
+  assert.deepEqual((await store.read()).map(r => r.id), [request.id]);
+
+  assert.equal((await setRequestStatus(request.id.slice(0, 8), 'closed', store)).name, 'Pat Principal');
+  assert.equal((await store.read())[0].status, 'closed');
+  assert.equal(await setRequestStatus('nope', 'closed', store), null);
+  assert.equal(await setRequestStatus('', 'closed', store), null);
+
+  // A prefix that more than one request starts with changes neither
+  const second = { ...request, id: request.id.slice(0, 4) + crypto.randomUUID().slice(4), status: 'open' };
+  await store.append([second]);
+  await assert.rejects(setRequestStatus(request.id.slice(0, 4), 'open', store), /matches 2 requests; give more of the id/);
+  assert.deepEqual((await store.read()).map(r => r.status), ['closed', 'open']);
+  assert.equal((await setRequestStatus(second.id, 'closed', store)).id, second.id);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
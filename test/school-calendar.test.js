@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { eachDateKey, importBlackouts, buildDayRules, buildDayNotices } = require('../lib/school-calendar');
+const { getBookingWindow } = require('../lib/time');
+
+const window = getBookingWindow(new Date('2026-10-26T12:00:00Z'), { weeks: 3, schoolYearEnd: '' });
+const halfDayWindow = { start: { hour: 8, minute: 0 }, end: { hour: 11, minute: 30 } };
+
+test('eachDateKey walks inclusive ranges across month ends', () => {
+  assert.deepEqual(eachDateKey('2026-10-30', '2026-11-02'), ['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-02']);
+  assert.deepEqual(eachDateKey('2026-11-02', '2026-11-02'), ['2026-11-02']);
+});
+
+test('importBlackouts keeps matching events and treats DTEND as exclusive', () => {
+  const ics = fs.readFileSync(path.join(__dirname, 'fixtures', 'school-year.ics'), 'utf8');
+  assert.deepEqual(importBlackouts(ics, ['no school', 'conferences'], window), [
+    { name: 'No School - Veterans Day', start: '2026-11-11', end: '2026-11-11' },
+    { name: 'Parent conferences', start: '2026-11-12', end: '2026-11-13' }
+  ]);
+  // Evening game at 6 PM Eastern stays on Nov 10
+  assert.deepEqual(importBlackouts(ics, ['game'], window), [
+    { name: 'Basketball game', start: '2026-11-10', end: '2026-11-10' }
+  ]);
+});
+
+test('buildDayRules lets blackouts win over overrides', () => {
+  const rules = buildDayRules({
+    blackouts: [{ name: 'Winter Break', start: '2026-12-21', end: '2027-01-01' }],
+    overrides: [
+      { name: 'Half Day', date: '2026-12-18', window: halfDayWindow },
+      { name: 'Half Day', date: '2026-12-21', window: halfDayWindow }
+    ]
+  }, [{ name: 'Testing', start: '2027-01-04', end: '2027-01-04' }]);
+  assert.deepEqual(rules.get('2026-12-18'), { name: 'Half Day', window: halfDayWindow });
+  assert.deepEqual(rules.get('2026-12-21'), { name: 'Winter Break', closed: true });
+  assert.deepEqual(rules.get('2027-01-01'), { name: 'Winter Break', closed: true });
+  assert.deepEqual(rules.get('2027-01-04'), { name: 'Testing', closed: true });
+  assert.equal(rules.size, 14);
+});
+
+test('buildDayNotices labels only days each type would offer', () => {
+  const rules = buildDayRules({
+    blackouts: [{ name: 'Fall Break', start: '2026-10-29', end: '2026-11-01' }],
+    overrides: [{ name: 'Half Day', date: '2026-11-04', window: halfDayWindow }]
+  });
+  const notices = buildDayNotices({ weekdays: { days: [1, 2, 3, 4, 5] }, wednesdays: { days: [3] } }, rules, window);
+  assert.deepEqual(notices.weekdays.map(n => [n.dateKey, n.text]), [
+    ['2026-10-29', 'No sessions — Fall Break'],
+    ['2026-10-30', 'No sessions — Fall Break'],
+    ['2026-11-04', 'Shortened hours — Half Day']
+  ]);
+  assert.deepEqual(notices.wednesdays.map(n => n.dateKey), ['2026-11-04']);
+  assert.equal(notices.weekdays[0].dateLong, 'Thursday, October 29');
+  assert.equal(notices.weekdays[2].weekKey, '2026-11-02');
+});
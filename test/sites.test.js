@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { generate } = require('../generate');
+const { loadConfig, validateConfig } = require('../lib/config');
+const { siteForLocation, travelMinutes, busyForSite } = require('../lib/sites');
+
+const config = loadConfig(path.join(__dirname, 'fixtures', 'config.json'));
+const { sites } = config;
+const horizon = { weeks: 3, schoolYearEnd: '' };
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+
+const labels = (slots) => slots.map(s => `${s.dateKey} ${s.label}`);
+
+test('locations resolve to buildings and travel works both ways round', () => {
+  assert.equal(siteForLocation(sites, 'North El, room 12'), 'north');
+  assert.equal(siteForLocation(sites, 'Zoom'), null);
+  assert.equal(travelMinutes(sites, 'north', 'office'), 20);
+  assert.equal(travelMinutes(sites, 'south', 'north'), 35);
+  assert.equal(travelMinutes(sites, 'south', 'office'), 25);
+  assert.equal(travelMinutes(sites, 'south', 'south'), 0);
+
+  const busy = [{ start: new Date('2026-10-28T13:00:00Z'), end: new Date('2026-10-28T14:00:00Z'), location: 'Zoom' }];
+  // A virtual meeting is taken from the base, the district office
+  assert.deepEqual(busyForSite(busy, sites, 'north')[0], {
+    start: new Date('2026-10-28T12:40:00Z'), end: new Date('2026-10-28T14:20:00Z'), location: 'Zoom'
+  });
+  assert.equal(busyForSite(busy, { ...sites, base: null }, 'north')[0], busy[0]);
+});
+
+test('generate offers in-person types at each building with travel time', async () => {
+  // 9-10 AM at North Elementary on Oct 28
+  const bookings = [{ status: 'booked', type: 'short', start: '2026-10-28T13:00:00.000Z', end: '2026-10-28T14:00:00.000Z', location: 'North El, room 12' }];
+  const result = await generate({ config, now, horizon, bookings });
+
+  assert.deepEqual(labels(result.allSlots.long), ['2026-10-28 10:00 AM', '2026-11-04 9:00 AM']);
+  assert.deepEqual(Object.keys(result.siteSlots.north), ['long']);
+  assert.equal(labels(result.siteSlots.north.long)[0], '2026-10-28 10:00 AM');
+  // 20 minutes to the office puts the next start on the grid at 10:30
+  assert.equal(labels(result.siteSlots.office.long)[0], '2026-10-28 10:30 AM');
+  // 35 minutes to South Middle, and 25 from the office for the noon event
+  // with no location, leave only the afternoon
+  assert.equal(labels(result.siteSlots.south.long)[0], '2026-10-28 1:30 PM');
+
+  const availability = JSON.parse(result.files['availability.json']);
+  assert.deepEqual(availability.sites.map(s => s.id), ['office', 'north', 'south']);
+  assert.equal(availability.sessionTypes.long.siteSlots.office[0].start, '2026-10-28T14:30:00.000Z');
+  assert.equal(availability.sessionTypes.short.siteSlots, undefined);
+
+  const html = result.files['index.html'];
+  assert.match(html, /<select id="siteSelect"><option value="">Virtually \(Zoom\)<\/option><option value="office">District Office<\/option>/);
+  assert.match(html, /<div class="slot-section" data-type="long" data-site="south" style="display:none;">/);
+  assert.match(html, /1\.5 hours · up to 4 people · in person or virtual/);
+  assert.match(html, /Long Session can also be held in person at District Office, North Elementary, and South Middle: choose your building under "Meet"/);
+});
+
+test('validateConfig checks sites', () => {
+  const type = {
+    id: 'quick', name: 'Quick', duration: 15, buffer: 5, days: ['Mon'], window: { start: '08:00', end: '09:00' },
+    maxPerDay: 2, leadTimeHours: 4, description: 'Quick.', whenToChoose: 'When quick.', inPerson: true
+  };
+  assert.deepEqual(validateConfig({ sessionTypes: [type] }), ['sessionTypes[0] (quick).inPerson needs the buildings listed in sites']);
+  assert.deepEqual(validateConfig({
+    sessionTypes: [type],
+    sites: {
+      buildings: [{ id: 'north', name: 'North' }],
+      travel: [{ from: 'north', to: 'north', minutes: 5 }, { from: 'north', to: 'west', minutes: 10 }],
+      base: 'office'
+    }
+  }), [
+    'sites.travel[0].to must be a different building from sites.travel[0].from',
+    'sites.travel[1].to has "west", which is not a building id',
+    'sites.base has "office", which is not a building id'
+  ]);
+});
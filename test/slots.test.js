@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildBusyTimeline, freeWindows, generateSlots, groupSlots } = require('../lib/slots');
+const { getBookingWindow } = require('../lib/time');
+
+// Monday Oct 26 2026, 8:00 AM Eastern
+const now = new Date('2026-10-26T12:00:00Z');
+const window = getBookingWindow(now, { weeks: 2, schoolYearEnd: '' });
+
+const sessionType = (overrides) => ({
+  name: 'Test',
+  duration: 30,
+  buffer: 0,
+  days: [1, 2, 3, 4, 5],
+  startHour: 9, startMin: 0,
+  endHour: 10, endMin: 0,
+  maxPerDay: 10,
+  leadTime: { amount: 0, unit: 'hours' },
+  ...overrides
+});
+
+const slotsFor = (type, busyTimes = [], at = now) =>
+  generateSlots({ t: sessionType(type) }, busyTimes, window, at).t;
+
+const labelsOn = (slots, dateKey) => slots.filter(s => s.dateKey === dateKey).map(s => s.label);
+
+test('candidates step every 15 minutes and must end inside the window', () => {
+  assert.deepEqual(labelsOn(slotsFor({}), '2026-10-27'), ['9:00 AM', '9:15 AM', '9:30 AM']);
+});
+
+test('slots keep local wall-clock times after the DST change', () => {
+  const slots = slotsFor({ maxPerDay: 1 });
+  const oct30 = slots.find(s => s.dateKey === '2026-10-30');
+  const nov2 = slots.find(s => s.dateKey === '2026-11-02');
+  assert.equal(oct30.start.toISOString(), '2026-10-30T13:00:00.000Z');
+  assert.equal(nov2.start.toISOString(), '2026-11-02T14:00:00.000Z');
+  assert.equal(nov2.googleStart, '20261102T140000Z');
+  // No weekend days, and each date appears once
+  const dates = slots.map(s => s.dateKey);
+  assert.equal(new Set(dates).size, dates.length);
+  assert.ok(!dates.includes('2026-11-01'));
+});
+
+test('buffers keep slots away from busy time on both sides', () => {
+  const busy = [{ start: new Date('2026-10-27T13:30:00Z'), end: new Date('2026-10-27T13:45:00Z') }];
+  assert.deepEqual(labelsOn(slotsFor({ endHour: 11 }, busy), '2026-10-27'), ['9:00 AM', '9:45 AM', '10:00 AM', '10:15 AM', '10:30 AM']);
+  assert.deepEqual(labelsOn(slotsFor({ endHour: 11, buffer: 15 }, busy), '2026-10-27'), ['10:00 AM', '10:15 AM', '10:30 AM']);
+});
+
+test('lead time hides slots too close to now', () => {
+  // 8:00 AM Monday plus 2 hours: nothing Monday morning before 10:00
+  const slots = slotsFor({ endHour: 11, leadTime: { amount: 2, unit: 'hours' } });
+  assert.deepEqual(labelsOn(slots, '2026-10-26'), ['10:00 AM', '10:15 AM', '10:30 AM']);
+});
+
+test('maxPerDay caps slots per day, earliest first', () => {
+  const slots = slotsFor({ maxPerDay: 2 });
+  assert.deepEqual(labelsOn(slots, '2026-10-28'), ['9:00 AM', '9:15 AM']);
+});
+
+test('buildBusyTimeline merges overlapping intervals in start order', () => {
+  const at = (h, m = 0) => new Date(Date.UTC(2026, 9, 27, h, m));
+  const timeline = buildBusyTimeline([
+    { start: at(15), end: at(16) },
+    { start: at(13), end: at(14) },
+    { start: at(13, 30), end: at(14, 30) },
+    { start: at(14, 30), end: at(14, 45) },
+    { start: at(17), end: at(17) }
+  ]);
+  assert.deepEqual(timeline.map(b => [new Date(b.start).toISOString().slice(11, 16), new Date(b.end).toISOString().slice(11, 16)]), [
+    ['13:00', '14:30'], ['14:30', '14:45'], ['15:00', '16:00']
+  ]);
+  // Touching intervals leave no gap between them
+  assert.deepEqual(freeWindows(timeline, at(12).getTime(), at(16, 30).getTime()).map(w => [w.start, w.end]), [
+    [at(12).getTime(), at(13).getTime()],
+    [at(14, 45).getTime(), at(15).getTime()],
+    [at(16).getTime(), at(16, 30).getTime()]
+  ]);
+});
+
+test('busy times that span the whole window leave no slots', () => {
+  const busy = [{ start: new Date('2026-10-27T04:00:00Z'), end: new Date('2026-10-28T04:00:00Z') }];
+  assert.deepEqual(labelsOn(slotsFor({}, busy), '2026-10-27'), []);
+  assert.deepEqual(labelsOn(slotsFor({}, busy), '2026-10-28'), ['9:00 AM', '9:15 AM', '9:30 AM']);
+});
+
+test('spread placement offers times across the whole window', () => {
+  const wide = { endHour: 15, maxPerDay: 3, placement: 'spread' };
+  assert.deepEqual(labelsOn(slotsFor(wide), '2026-10-27'), ['9:00 AM', '11:45 AM', '2:30 PM']);
+  assert.deepEqual(labelsOn(slotsFor({ ...wide, maxPerDay: 1 }), '2026-10-27'), ['11:45 AM']);
+});
+
+test('anchor placement prefers the anchor times and falls back to the nearest free time', () => {
+  const busy = [{ start: new Date('2026-10-27T17:00:00Z'), end: new Date('2026-10-27T17:30:00Z') }];
+  const anchors = [{ hour: 13, minute: 0 }, { hour: 10, minute: 0 }];
+  const type = { endHour: 15, maxPerDay: 5, placement: 'anchors', anchors };
+  // 1:00 PM is busy; 12:30 and 1:30 are equally near, so the earlier wins
+  assert.deepEqual(labelsOn(slotsFor(type, busy), '2026-10-27'), ['10:00 AM', '12:30 PM']);
+  assert.deepEqual(labelsOn(slotsFor({ ...type, maxPerDay: 1 }, busy), '2026-10-27'), ['12:30 PM']);
+});
+
+test('step and aligned placement shape the candidate grid', () => {
+  const offset = { startMin: 10, endHour: 11 };
+  assert.deepEqual(labelsOn(slotsFor({ ...offset, step: 30 }), '2026-10-27'), ['9:10 AM', '9:40 AM', '10:10 AM']);
+  assert.deepEqual(labelsOn(slotsFor({ ...offset, step: 30, placement: 'aligned' }), '2026-10-27'), ['9:30 AM', '10:00 AM', '10:30 AM']);
+  assert.deepEqual(labelsOn(slotsFor({ ...offset, step: 60, placement: 'aligned' }), '2026-10-27'), ['10:00 AM']);
+});
+
+test('groupSlots nests slots by week and date', () => {
+  const weeks = groupSlots(slotsFor({ maxPerDay: 1 }));
+  assert.deepEqual([...weeks.keys()], ['2026-10-26', '2026-11-02']);
+  const firstWeek = weeks.get('2026-10-26');
+  assert.equal(firstWeek.label, 'Week of October 26');
+  assert.deepEqual([...firstWeek.dates.keys()], ['2026-10-26', '2026-10-27', '2026-10-28', '2026-10-29', '2026-10-30']);
+});
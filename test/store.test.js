@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileStore, kvStore, openStore } = require('../lib/store');
+const { createBooking } = require('../lib/bookings');
+
+// An in-memory stand-in for the Upstash REST API, answering each command a
+// tick later so requests from different "instances" interleave
+function fakeKv() {
+  const data = new Map();
+  const calls = [];
+  const commands = {
+    RPUSH: (key, ...values) => { data.set(key, (data.get(key) || []).concat(values)); return data.get(key).length; },
+    LRANGE: (key) => (data.get(key) || []).slice(),
+    LSET: (key, index, value) => { data.get(key)[index] = value; return 'OK'; },
+    SET: (key, value, nx) => { if (nx === 'NX' && data.has(key)) return null; data.set(key, value); return 'OK'; },
+    GET: (key) => data.has(key) ? data.get(key) : null,
+    DEL: (key) => Number(data.delete(key))
+  };
+  const fetchImpl = async (url, { headers, body }) => {
+    await new Promise(resolve => setImmediate(resolve));
+    const [name, ...args] = JSON.parse(body);
+    calls.push(name);
+    if (headers.Authorization !== 'Bearer secret') return { ok: false, status: 401, json: async () => ({ error: 'Unauthorized' }) };
+    return { ok: true, status: 200, json: async () => ({ result: commands[name](...args) }) };
+  };
+  return { data, calls, fetchImpl };
+}
+
+const now = new Date('2026-10-26T12:00:00Z');
+const availability = {
+  sessionTypes: {
+    short: { name: 'Short Session', slots: [{ start: '2026-10-27T13:00:00.000Z', end: '2026-10-27T13:30:00.000Z' }] }
+  }
+};
+const request = { type: 'short', start: '2026-10-27T13:00:00.000Z', name: 'Pat Principal', email: 'pat@school.org' };
+
+test('fileStore appends, replaces and reads back records', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  const store = fileStore(path.join(dir, 'data', 'records.jsonl'));
+  assert.deepEqual(await store.read(), []);
+  await store.append([{ id: 'a' }, { id: 'b' }]);
+  await store.replace(1, { id: 'b', status: 'closed' });
+  assert.deepEqual(await store.read(), [{ id: 'a' }, { id: 'b', status: 'closed' }]);
+  fs.rmSync(dir, { recursive: true });
+});
+
+test('openStore uses KV when configured and refuses a file on Vercel', async () => {
+  const kv = fakeKv();
+  const env = { KV_REST_API_URL: 'https://kv.example', KV_REST_API_TOKEN: 'secret' };
+  await openStore('bookings', { filePath: 'unused', coachId: 'lee', env, fetchImpl: kv.fetchImpl }).append([{ id: 'a' }]);
+  assert.deepEqual(kv.data.get('lee:bookings'), ['{"id":"a"}']);
+  const status = openStore('status', { filePath: 'unused', coachId: 'lee', env, fetchImpl: kv.fetchImpl });
+  assert.equal(await status.get(), null);
+  await status.set({ checkedAt: '2026-10-26T12:00:00.000Z' });
+  assert.deepEqual(await status.get(), { checkedAt: '2026-10-26T12:00:00.000Z' });
+
+  assert.throws(() => openStore('bookings', { filePath: 'unused', env: { VERCEL: '1' } }), /KV_REST_API_URL and KV_REST_API_TOKEN must be set/);
+  await assert.rejects(kvStore({ url: 'https://kv.example', token: 'wrong', key: 'bookings', fetchImpl: kv.fetchImpl }).read(), /KV LRANGE failed: Unauthorized/);
+});
+
+test('createBooking lets only one of two instances sharing a KV store book a slot', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-'));
+  const availabilityPath = path.join(dir, 'availability.json');
+  fs.writeFileSync(availabilityPath, JSON.stringify(availability));
+  const kv = fakeKv();
+  // Each serverless instance opens its own store over the same KV database
+  const instance = () => ({ availabilityPath, now: () => now, store: kvStore({ url: 'https://kv.example', token: 'secret', key: 'bookings', fetchImpl: kv.fetchImpl, sleep: () => new Promise(resolve => setImmediate(resolve)) }) });
+
+  const results = await Promise.all([createBooking(request, instance()), createBooking(request, instance())]);
+  assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+  assert.equal(kv.data.get('bookings').length, 1);
+  assert.equal(kv.data.has('bookings:lock'), false);
+  fs.rmSync(dir, { recursive: true });
+});
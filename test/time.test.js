@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toEasternParts, easternDate, easternDateKey, getWeekKey, formatWeekOf,
+  toGoogleDateStr, getBookingWindow
+} = require('../lib/time');
+
+test('easternDate uses EDT before and EST after the November change', () => {
+  assert.equal(easternDate(2026, 10, 30, 9, 0).toISOString(), '2026-10-30T13:00:00.000Z');
+  assert.equal(easternDate(2026, 11, 2, 9, 0).toISOString(), '2026-11-02T14:00:00.000Z');
+});
+
+test('easternDate handles the March spring-forward day', () => {
+  assert.equal(easternDate(2026, 3, 8, 0, 0).toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(easternDate(2026, 3, 8, 9, 30).toISOString(), '2026-03-08T13:30:00.000Z');
+});
+
+test('easternDate returns local midnight, not the previous day', () => {
+  const midnight = easternDate(2026, 10, 19, 0, 0);
+  assert.equal(easternDateKey(midnight), '2026-10-19');
+  assert.equal(toEasternParts(midnight).hour, 0);
+});
+
+test('easternDate rolls day overflow into the next month', () => {
+  assert.equal(easternDateKey(easternDate(2026, 10, 32, 0, 0)), '2026-11-01');
+});
+
+test('getWeekKey maps every day to its Monday, Sunday included', () => {
+  assert.equal(getWeekKey(easternDate(2026, 10, 26, 9, 0)), '2026-10-26');
+  assert.equal(getWeekKey(easternDate(2026, 10, 30, 15, 0)), '2026-10-26');
+  assert.equal(getWeekKey(easternDate(2026, 11, 1, 12, 0)), '2026-10-26');
+  assert.equal(formatWeekOf(easternDate(2026, 11, 4, 9, 0)), 'Week of November 2');
+});
+
+test('toGoogleDateStr formats UTC basic time', () => {
+  assert.equal(toGoogleDateStr(new Date('2026-11-02T14:05:00Z')), '20261102T140500Z');
+});
+
+test('getBookingWindow spans N weeks from local midnight across DST', () => {
+  const window = getBookingWindow(new Date('2026-10-26T16:00:00Z'), { weeks: 2, schoolYearEnd: '' });
+  assert.equal(window.start.toISOString(), '2026-10-26T04:00:00.000Z');
+  assert.equal(window.end.toISOString(), '2026-11-09T05:00:00.000Z');
+  assert.equal(window.capped, false);
+});
+
+test('getBookingWindow is capped by the school year end', () => {
+  const window = getBookingWindow(new Date('2026-10-26T16:00:00Z'), { weeks: 6, schoolYearEnd: '2026-10-30' });
+  assert.equal(window.end.toISOString(), '2026-10-31T04:00:00.000Z');
+  assert.equal(window.capped, true);
+  assert.throws(() => getBookingWindow(new Date(), { weeks: 6, schoolYearEnd: '6/12/2027' }), /YYYY-MM-DD/);
+});
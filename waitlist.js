@@ -0,0 +1,68 @@
+// Waitlist CLI: review the custom-time requests visitors have sent.
+//
+//   npm run waitlist              open requests, oldest first
+//   npm run waitlist -- match     open requests the current slots fit
+//   npm run waitlist -- close ID  mark a request handled (an ID prefix works)
+//
+// With coaches.json, COACH=<id> picks whose waitlist it is.
+
+const fs = require('fs');
+const path = require('path');
+const { loadEnvFile } = require('./lib/config');
+const { openRequests, setRequestStatus, matchRequests, describeMatches } = require('./lib/requests');
+const { coachIds, coachFiles } = require('./lib/coaches');
+
+async function main(args) {
+  loadEnvFile(path.join(__dirname, '.env'));
+  let requestsPath = process.env.REQUESTS_PATH || undefined;
+  let availabilityPath = path.join(__dirname, 'availability.json');
+  let coachId = null;
+  const coaches = coachIds();
+  if (coaches.length) {
+    const files = coachFiles(process.env.COACH);
+    if (!files) throw new Error(`Set COACH to one of ${coaches.join(', ')} to pick whose waitlist this is`);
+    ({ requestsPath, availabilityPath } = files);
+    coachId = process.env.COACH;
+  }
+  const store = openRequests({ requestsPath, coachId });
+  const [command = 'list', id] = args;
+
+  if (command === 'list') {
+    const open = (await store.read()).filter(r => r.status === 'open');
+    if (!open.length) return console.log('No open requests.');
+    for (const r of open) {
+      const times = r.timesOfDay.join('/');
+      console.log(`${r.id.slice(0, 8)}  ${r.createdAt.slice(0, 10)}  ${r.name} <${r.email}>  ${r.typeName}, ${r.dateFrom} to ${r.dateTo}, ${times}`);
+      for (const answer of r.answers) {
+        console.log(`    ${answer.label}: ${Array.isArray(answer.value) ? answer.value.join(', ') : answer.value}`);
+      }
+      if (r.notes) console.log(`    Notes: ${r.notes}`);
+    }
+    return;
+  }
+
+  if (command === 'match') {
+    if (!fs.existsSync(availabilityPath)) throw new Error(`${path.relative(__dirname, availabilityPath)} not found; run \`npm run generate\` first`);
+    const availability = JSON.parse(fs.readFileSync(availabilityPath, 'utf8'));
+    const matches = matchRequests(await store.read(), availability);
+    if (!matches.length) return console.log('No open request fits the current slots.');
+    for (const line of describeMatches(matches)) console.log(line);
+    return;
+  }
+
+  if (command === 'close') {
+    if (!id) throw new Error('Usage: npm run waitlist -- close <request id>');
+    const request = await setRequestStatus(id, 'closed', store);
+    if (!request) throw new Error(`No request with id "${id}"`);
+    return console.log(`Closed ${request.name}'s ${request.typeName} request`);
+  }
+
+  throw new Error(`Unknown command "${command}" (use list, match or close)`);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}